@@ -0,0 +1,93 @@
+import { COA_TYPE, loadMetaobjectConfig } from "../lib/metaobject-config.js";
+import { normalizeLookupValue } from "../lib/metaobjects.js";
+import { AdminApiError } from "../lib/admin-graphql.js";
+import {
+  availableBatchHandle,
+  fetchAllEntries,
+  findEntryByHandle,
+  uploadPdf as uploadPdfWith,
+  upsertEntry,
+  validateCoaFields,
+  validatePdf,
+} from "../lib/coa-entries.js";
+
+// Same config file as server.js, so the admin and the storefront agree on the COA fields
+const metaobjectConfig = loadMetaobjectConfig(
+  process.env.METAOBJECT_CONFIG || "metaobjects.config.json",
+);
+
+export function coaDefinition(shop) {
+  return metaobjectConfig.definition(shop, COA_TYPE);
+}
+
+// Run an Admin GraphQL query through the embedded app's session. The Shopify library
+// retries failed requests (tries); GraphQL errors are thrown as an AdminApiError like the server's.
+export async function adminGraphql(admin, query, variables) {
+  const response = await admin.graphql(query, { variables, tries: 3 });
+  const json = await response.json();
+  if (json.errors?.length) {
+    throw new AdminApiError(
+      "GRAPHQL",
+      json.errors.map((error) => error.message).join("; "),
+      { errors: json.errors },
+    );
+  }
+  return json.data;
+}
+
+// The lib/coa-entries.js helpers take a (query, variables) => data function
+export function sessionGraphql(admin) {
+  return (query, variables) => adminGraphql(admin, query, variables);
+}
+
+// Every COA of the shop, newest update first, including ones missing required fields
+export async function fetchAllCoas(admin, definition) {
+  return fetchAllEntries(sessionGraphql(admin), definition);
+}
+
+export async function findCoaByHandle(admin, definition, handle) {
+  return findEntryByHandle(sessionGraphql(admin), definition, handle);
+}
+
+// Handle for a batch that has no entry yet, skipping handles other batches' entries hold
+export async function newCoaHandle(admin, definition, batchNumber) {
+  return availableBatchHandle(
+    batchNumber,
+    async (handle) => !!(await findCoaByHandle(admin, definition, handle)),
+  );
+}
+
+// The entry holding a batch number, compared like the storefront batch lookup
+export async function findCoaByBatch(admin, definition, batchNumber) {
+  const wanted = normalizeLookupValue(batchNumber);
+  const coas = await fetchAllCoas(admin, definition);
+  return (
+    coas.find((coa) => normalizeLookupValue(coa.batch_number) === wanted) ||
+    null
+  );
+}
+
+// Shopify admin page for a metaobject entry, opened by App Bridge from the embedded app
+export function adminEntryUrl(type, id) {
+  return `shopify://admin/content/entries/${type}/${id.split("/").pop()}`;
+}
+
+// Check the submitted form values, returning { field: message } for each problem
+export function validateCoa(values, { pdf, requirePdf }) {
+  const errors = validateCoaFields(values);
+  if (pdf) {
+    const pdfError = validatePdf(pdf);
+    if (pdfError) errors.pdf = pdfError;
+  } else if (requirePdf) {
+    errors.pdf = "Upload the certificate PDF";
+  }
+  return errors;
+}
+
+export async function uploadPdf(admin, file) {
+  return uploadPdfWith(sessionGraphql(admin), file);
+}
+
+export async function upsertCoa(admin, definition, handle, values) {
+  return upsertEntry(sessionGraphql(admin), definition, handle, values);
+}
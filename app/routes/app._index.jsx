@@ -1,238 +1,246 @@
-import { useEffect } from "react";
-import { useFetcher } from "react-router";
-import { useAppBridge } from "@shopify/app-bridge-react";
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import { adminEntryUrl, coaDefinition, fetchAllCoas } from "../coas.server";
+import { HttpError } from "../../lib/errors.js";
+import { parsePaginationParams } from "../../lib/pagination.js";
+import { parseFilterParams, matchesFilters } from "../../lib/filters.js";
+import { paginateSorted, DEFAULT_SORT } from "../../lib/sorting.js";
 
-export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-
-  return null;
+const EXPIRY_BADGES = {
+  valid: { tone: "success", label: "Valid" },
+  expiring_soon: { tone: "warning", label: "Expiring soon" },
+  expired: { tone: "critical", label: "Expired" },
 };
 
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const query = Object.fromEntries(new URL(request.url).searchParams);
+  const definition = coaDefinition(session.shop);
+
+  let pagination;
+  let filters;
+  try {
+    pagination = parsePaginationParams(query);
+    filters = parseFilterParams(
+      {
+        q: query.q,
+        product_type: query.product_type,
+        expiry_status: query.expiry_status,
       },
-    },
+      definition,
+    );
+  } catch (err) {
+    if (err instanceof HttpError) {
+      throw new Response(err.message, { status: err.status });
+    }
+    throw err;
+  }
+
+  // The counts cover every COA, so the whole set is read and filtered and paged here
+  const coas = await fetchAllCoas(admin, definition);
+  const matching = coas.filter((coa) =>
+    matchesFilters(coa, filters, definition),
   );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyReactRouterTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
-    },
+  const { items, pageInfo } = paginateSorted(
+    matching,
+    DEFAULT_SORT,
+    pagination,
   );
-  const variantResponseJson = await variantResponse.json();
 
   return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
+    counts: {
+      total: coas.length,
+      expiring: coas.filter((coa) => coa.expiry_status === "expiring_soon")
+        .length,
+      missingPdf: coas.filter((coa) => !coa.pdf_link).length,
+    },
+    productTypes: [
+      ...new Set(coas.map((coa) => coa.product_type).filter(Boolean)),
+    ].sort(),
+    matchingCount: matching.length,
+    items: items.map((coa) => ({
+      ...coa,
+      adminUrl: adminEntryUrl(definition.type, coa.id),
+    })),
+    pageInfo,
   };
 };
 
+function Count({ label, value, tone }) {
+  return (
+    <s-box padding="base" borderWidth="base" borderRadius="base">
+      <s-stack direction="block" gap="small-200">
+        <s-text color="subdued">{label}</s-text>
+        <s-heading>
+          {tone ? <s-text tone={tone}>{value}</s-text> : value}
+        </s-heading>
+      </s-stack>
+    </s-box>
+  );
+}
+
 export default function Index() {
-  const fetcher = useFetcher();
-  const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
-
-  useEffect(() => {
-    if (fetcher.data?.product?.id) {
-      shopify.toast.show("Product created");
+  const { counts, productTypes, matchingCount, items, pageInfo } =
+    useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+
+  // Changing a filter starts again from the first page
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
     }
-  }, [fetcher.data?.product?.id, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+    next.delete("after");
+    next.delete("before");
+    setSearchParams(next);
+  };
+
+  const goToPage = (direction, cursor) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("after");
+    next.delete("before");
+    next.set(direction, cursor);
+    setSearchParams(next);
+  };
 
   return (
-    <s-page heading="Shopify app template">
-      <s-button slot="primary-action" onClick={generateProduct}>
-        Generate a product
+    <s-page heading="Certificates of Analysis">
+      <s-button slot="primary-action" href="/app/coas/new">
+        Add certificate
+      </s-button>
+      <s-button slot="secondary-actions" href="/app/import">
+        Import CSV
       </s-button>
 
-      <s-section heading="Congrats on creating a new Shopify app 🎉">
-        <s-paragraph>
-          This embedded app template uses{" "}
-          <s-link
-            href="https://shopify.dev/docs/apps/tools/app-bridge"
-            target="_blank"
-          >
-            App Bridge
-          </s-link>{" "}
-          interface examples like an{" "}
-          <s-link href="/app/additional">additional page in the app nav</s-link>
-          , as well as an{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            Admin GraphQL
-          </s-link>{" "}
-          mutation demo, to provide a starting point for app development.
-        </s-paragraph>
+      <s-section>
+        <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+          <Count label="Total certificates" value={counts.total} />
+          <Count
+            label="Expiring soon"
+            value={counts.expiring}
+            tone={counts.expiring ? "caution" : undefined}
+          />
+          <Count
+            label="Missing PDF"
+            value={counts.missingPdf}
+            tone={counts.missingPdf ? "critical" : undefined}
+          />
+        </s-grid>
       </s-section>
-      <s-section heading="Get started with products">
-        <s-paragraph>
-          Generate a product with GraphQL and get the JSON output for that
-          product. Learn more about the{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-            target="_blank"
-          >
-            productCreate
-          </s-link>{" "}
-          mutation in our API references.
-        </s-paragraph>
-        <s-stack direction="inline" gap="base">
-          <s-button
-            onClick={generateProduct}
-            {...(isLoading ? { loading: true } : {})}
+
+      <s-section padding="none">
+        <s-table
+          paginate
+          hasPreviousPage={pageInfo.hasPreviousPage}
+          hasNextPage={pageInfo.hasNextPage}
+          onPreviousPage={() => goToPage("before", pageInfo.startCursor)}
+          onNextPage={() => goToPage("after", pageInfo.endCursor)}
+          {...(navigation.state === "loading" ? { loading: true } : {})}
+        >
+          <s-grid
+            slot="filters"
+            gridTemplateColumns="2fr 1fr 1fr"
+            gap="small-200"
           >
-            Generate a product
-          </s-button>
-          {fetcher.data?.product && (
-            <s-button
-              onClick={() => {
-                shopify.intents.invoke?.("edit:shopify/Product", {
-                  value: fetcher.data?.product?.id,
-                });
-              }}
-              target="_blank"
-              variant="tertiary"
+            <s-search-field
+              label="Search certificates"
+              labelAccessibilityVisibility="exclusive"
+              placeholder="Search by product, type or batch"
+              value={searchParams.get("q") || ""}
+              onChange={(event) => setFilter("q", event.currentTarget.value)}
+            />
+            <s-select
+              label="Product type"
+              labelAccessibilityVisibility="exclusive"
+              value={searchParams.get("product_type") || ""}
+              onChange={(event) =>
+                setFilter("product_type", event.currentTarget.value)
+              }
             >
-              Edit product
-            </s-button>
-          )}
-        </s-stack>
-        {fetcher.data?.product && (
-          <s-section heading="productCreate mutation">
-            <s-stack direction="block" gap="base">
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.product, null, 2)}</code>
-                </pre>
-              </s-box>
-
-              <s-heading>productVariantsBulkUpdate mutation</s-heading>
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.variant, null, 2)}</code>
-                </pre>
-              </s-box>
-            </s-stack>
-          </s-section>
-        )}
-      </s-section>
+              <s-option value="">All product types</s-option>
+              {productTypes.map((productType) => (
+                <s-option key={productType} value={productType}>
+                  {productType}
+                </s-option>
+              ))}
+            </s-select>
+            <s-select
+              label="Expiry"
+              labelAccessibilityVisibility="exclusive"
+              value={searchParams.get("expiry_status") || ""}
+              onChange={(event) =>
+                setFilter("expiry_status", event.currentTarget.value)
+              }
+            >
+              <s-option value="">Any expiry</s-option>
+              {Object.entries(EXPIRY_BADGES).map(([status, { label }]) => (
+                <s-option key={status} value={status}>
+                  {label}
+                </s-option>
+              ))}
+            </s-select>
+          </s-grid>
 
-      <s-section slot="aside" heading="App template specs">
-        <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
-        </s-paragraph>
+          <s-table-header-row>
+            <s-table-header listSlot="primary">Product</s-table-header>
+            <s-table-header>Batch</s-table-header>
+            <s-table-header>Type</s-table-header>
+            <s-table-header>Test date</s-table-header>
+            <s-table-header>Best by</s-table-header>
+            <s-table-header>Certificate</s-table-header>
+          </s-table-header-row>
+
+          <s-table-body>
+            {items.map((coa) => {
+              const badge = EXPIRY_BADGES[coa.expiry_status];
+              return (
+                <s-table-row key={coa.id}>
+                  <s-table-cell>
+                    <s-link href={coa.adminUrl}>
+                      {coa.product || "Untitled product"}
+                    </s-link>
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-link href={`/app/coas/${coa.handle}`}>
+                      {coa.batch_number || "Edit"}
+                    </s-link>
+                  </s-table-cell>
+                  <s-table-cell>{coa.product_type}</s-table-cell>
+                  <s-table-cell>{coa.date}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      {coa.best_by_date}
+                      {badge && (
+                        <s-badge tone={badge.tone}>{badge.label}</s-badge>
+                      )}
+                    </s-stack>
+                  </s-table-cell>
+                  <s-table-cell>
+                    {coa.pdf_link ? (
+                      <s-link href={coa.pdf_link} target="_blank">
+                        PDF
+                      </s-link>
+                    ) : (
+                      <s-badge tone="critical">Missing</s-badge>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              );
+            })}
+          </s-table-body>
+        </s-table>
       </s-section>
 
-      <s-section slot="aside" heading="Next steps">
-        <s-unordered-list>
-          <s-list-item>
-            Build an{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/getting-started/build-app-example"
-              target="_blank"
-            >
-              example app
-            </s-link>
-          </s-list-item>
-          <s-list-item>
-            Explore Shopify&apos;s API with{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-              target="_blank"
-            >
-              GraphiQL
-            </s-link>
-          </s-list-item>
-        </s-unordered-list>
+      <s-section>
+        <s-text color="subdued">
+          {matchingCount === counts.total
+            ? `${counts.total} certificates`
+            : `${matchingCount} of ${counts.total} certificates match`}
+        </s-text>
       </s-section>
     </s-page>
   );
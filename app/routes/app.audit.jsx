@@ -0,0 +1,138 @@
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { adminEntryUrl, coaDefinition, sessionGraphql } from "../coas.server";
+import { fetchAllEntries } from "../../lib/coa-entries.js";
+import {
+  AUDIT_CHECKS,
+  auditEntries,
+  countFindings,
+} from "../../lib/audit.js";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const definition = coaDefinition(session.shop);
+  const checkLinks =
+    new URL(request.url).searchParams.get("check_links") === "1";
+
+  const entries = await fetchAllEntries(sessionGraphql(admin), definition);
+  const findings = await auditEntries(entries, definition, { checkLinks });
+
+  return {
+    checkLinks,
+    total: entries.length,
+    counts: countFindings(findings),
+    findings: findings.map((finding) => ({
+      ...finding,
+      adminUrl: adminEntryUrl(definition.type, finding.id),
+    })),
+  };
+};
+
+export default function Audit() {
+  const { checkLinks, total, counts, findings } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const shown = searchParams.get("check");
+  const visible = shown
+    ? findings.filter((finding) => finding.check === shown)
+    : findings;
+
+  const setParam = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
+    }
+    setSearchParams(next);
+  };
+
+  return (
+    <s-page heading="Certificate audit">
+      <s-link slot="breadcrumb-actions" href="/app">
+        Certificates
+      </s-link>
+      {!checkLinks && (
+        <s-button
+          slot="primary-action"
+          onClick={() => setParam("check_links", "1")}
+          {...(navigation.state === "loading" ? { loading: true } : {})}
+        >
+          Check PDF links
+        </s-button>
+      )}
+
+      <s-section>
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            {findings.length
+              ? `Found ${findings.length} problems across ${total} certificates.`
+              : `All ${total} certificates passed.`}{" "}
+            {checkLinks
+              ? "PDF links were checked."
+              : "PDF links weren't requested; check them to find dead links."}
+          </s-paragraph>
+          <s-stack direction="inline" gap="small-200">
+            <s-clickable-chip
+              color={shown ? "base" : "strong"}
+              onClick={() => setParam("check", "")}
+            >
+              All ({findings.length})
+            </s-clickable-chip>
+            {Object.entries(AUDIT_CHECKS).map(([check, label]) => (
+              <s-clickable-chip
+                key={check}
+                color={shown === check ? "strong" : "base"}
+                onClick={() => setParam("check", check)}
+              >
+                {label} ({counts[check]})
+              </s-clickable-chip>
+            ))}
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      {visible.length > 0 && (
+        <s-section padding="none">
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Problem</s-table-header>
+              <s-table-header>Batch</s-table-header>
+              <s-table-header>Product</s-table-header>
+              <s-table-header>Details</s-table-header>
+              <s-table-header>Entry</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {visible.map((finding) => (
+                <s-table-row
+                  key={`${finding.id}-${finding.check}-${finding.message}`}
+                >
+                  <s-table-cell>
+                    <s-badge
+                      tone={
+                        finding.check === "excluded" ? "critical" : "warning"
+                      }
+                    >
+                      {AUDIT_CHECKS[finding.check]}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>{finding.batch_number}</s-table-cell>
+                  <s-table-cell>{finding.product}</s-table-cell>
+                  <s-table-cell>{finding.message}</s-table-cell>
+                  <s-table-cell>
+                    <s-link href={finding.adminUrl}>{finding.handle}</s-link>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,200 @@
+import { useEffect } from "react";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  coaDefinition,
+  findCoaByBatch,
+  findCoaByHandle,
+  newCoaHandle,
+  uploadPdf,
+  upsertCoa,
+  validateCoa,
+} from "../coas.server";
+
+const TEXT_FIELDS = [
+  "product",
+  "product_type",
+  "batch_number",
+  "date",
+  "best_by_date",
+];
+
+// /app/coas/new creates a certificate; any other handle edits that entry
+async function loadCoa(admin, definition, handle) {
+  if (handle === "new") return null;
+  const coa = await findCoaByHandle(admin, definition, handle);
+  if (!coa) {
+    throw new Response(`No certificate with handle ${handle}`, {
+      status: 404,
+    });
+  }
+  return coa;
+}
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const definition = coaDefinition(session.shop);
+
+  return { coa: await loadCoa(admin, definition, params.handle) };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session, redirect } = await authenticate.admin(request);
+  const definition = coaDefinition(session.shop);
+  const existing = await loadCoa(admin, definition, params.handle);
+
+  const form = await request.formData();
+  const values = Object.fromEntries(
+    TEXT_FIELDS.map((key) => [key, String(form.get(key) || "").trim()]),
+  );
+  const upload = form.get("pdf");
+  const pdf =
+    upload && typeof upload !== "string" && upload.size ? upload : null;
+
+  const errors = validateCoa(values, { pdf, requirePdf: !existing?.pdf_link });
+  if (Object.keys(errors).length) {
+    return { errors, values };
+  }
+
+  // Batch numbers key the entries: adding a batch that already has a certificate
+  // updates that entry, and an edit can't take another entry's batch number
+  const sameBatch = await findCoaByBatch(
+    admin,
+    definition,
+    values.batch_number,
+  );
+  if (existing && sameBatch && sameBatch.handle !== existing.handle) {
+    return {
+      errors: {
+        batch_number: `Batch ${sameBatch.batch_number} already has a certificate`,
+      },
+      values,
+    };
+  }
+  // upsertCoa is keyed on the handle, so a new batch must not reuse another batch's handle
+  const handle =
+    existing?.handle ||
+    sameBatch?.handle ||
+    (await newCoaHandle(admin, definition, values.batch_number));
+
+  if (pdf) {
+    try {
+      values.pdf_link = await uploadPdf(admin, pdf);
+    } catch (err) {
+      console.error("COA PDF upload failed:", err.message);
+      return { errors: { pdf: err.message }, values };
+    }
+  }
+
+  const { userErrors } = await upsertCoa(admin, definition, handle, values);
+  if (userErrors.length) {
+    return {
+      errors: { form: userErrors.map((error) => error.message).join(" ") },
+      values,
+    };
+  }
+
+  return redirect(`/app/coas/${handle}?saved=1`);
+};
+
+export default function CoaForm() {
+  const { coa } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [searchParams] = useSearchParams();
+  const shopify = useAppBridge();
+
+  const errors = actionData?.errors || {};
+  const values = actionData?.values || coa || {};
+  const saving = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (searchParams.get("saved")) {
+      shopify.toast.show("Certificate saved");
+    }
+  }, [searchParams, shopify]);
+
+  return (
+    <s-page heading={coa ? `Batch ${coa.batch_number}` : "Add certificate"}>
+      <s-link slot="breadcrumb-actions" href="/app">
+        Certificates
+      </s-link>
+
+      <Form method="post" encType="multipart/form-data">
+        <s-section>
+          <s-stack direction="block" gap="base">
+            {errors.form && <s-banner tone="critical">{errors.form}</s-banner>}
+            <s-text-field
+              label="Product"
+              name="product"
+              defaultValue={values.product || ""}
+              error={errors.product}
+              required
+            />
+            <s-text-field
+              label="Product type"
+              name="product_type"
+              defaultValue={values.product_type || ""}
+            />
+            <s-text-field
+              label="Batch number"
+              name="batch_number"
+              defaultValue={values.batch_number || ""}
+              details="Each batch has one certificate. Saving a batch that already has one updates it."
+              error={errors.batch_number}
+              required
+            />
+            <s-date-field
+              label="Test date"
+              name="date"
+              defaultValue={values.date || ""}
+              error={errors.date}
+              required
+            />
+            <s-date-field
+              label="Best by"
+              name="best_by_date"
+              defaultValue={values.best_by_date || ""}
+              error={errors.best_by_date}
+            />
+            <s-drop-zone
+              label={
+                coa?.pdf_link ? "Replace certificate PDF" : "Certificate PDF"
+              }
+              name="pdf"
+              accept="application/pdf"
+              error={errors.pdf}
+            />
+            {coa?.pdf_link && (
+              <s-link href={coa.pdf_link} target="_blank">
+                View current PDF
+              </s-link>
+            )}
+          </s-stack>
+        </s-section>
+
+        <s-stack direction="inline" justifyContent="end">
+          <s-button
+            type="submit"
+            variant="primary"
+            {...(saving ? { loading: true } : {})}
+          >
+            Save
+          </s-button>
+        </s-stack>
+      </Form>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
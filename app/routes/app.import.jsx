@@ -0,0 +1,187 @@
+import { Form, useActionData, useNavigation } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { coaDefinition, sessionGraphql } from "../coas.server";
+import { fetchAllEntries } from "../../lib/coa-entries.js";
+import {
+  importReportCsv,
+  planImport,
+  readImportRows,
+  runImport,
+  summarizeImport,
+} from "../../lib/coa-import.js";
+
+const STATUS_BADGES = {
+  created: { tone: "success", label: "Created" },
+  updated: { tone: "info", label: "Updated" },
+  valid: { tone: "success", label: "Ready" },
+  failed: { tone: "critical", label: "Failed" },
+};
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  return null;
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const definition = coaDefinition(session.shop);
+  const form = await request.formData();
+
+  const csv = form.get("csv");
+  if (!csv || typeof csv === "string" || !csv.size) {
+    return { error: "Choose the CSV file to import" };
+  }
+  const { rows, error } = readImportRows(await csv.text(), definition);
+  if (error) {
+    return { error };
+  }
+
+  const pdfs = form
+    .getAll("pdfs")
+    .filter((file) => typeof file !== "string" && file.size)
+    .map((file) => ({
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      open: async () => file,
+    }));
+
+  const graphql = sessionGraphql(admin);
+  const plan = planImport(rows, {
+    existing: await fetchAllEntries(graphql, definition),
+    pdfs,
+  });
+  const dryRun = form.get("dryRun") === "on";
+  const results = await runImport(plan, {
+    graphql,
+    definition,
+    dryRun,
+    batchSize: 5,
+  });
+
+  return {
+    dryRun,
+    results,
+    summary: summarizeImport(results),
+    report: importReportCsv(results),
+  };
+};
+
+function downloadReport(report) {
+  const url = URL.createObjectURL(new Blob([report], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "coa-import-report.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ImportCoas() {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const importing = navigation.state === "submitting";
+  const summary = actionData?.summary;
+
+  return (
+    <s-page heading="Import certificates">
+      <s-link slot="breadcrumb-actions" href="/app">
+        Certificates
+      </s-link>
+
+      <Form method="post" encType="multipart/form-data">
+        <s-section>
+          <s-stack direction="block" gap="base">
+            {actionData?.error && (
+              <s-banner tone="critical">{actionData.error}</s-banner>
+            )}
+            <s-paragraph>
+              The CSV needs Test date, Product and Batch columns, and can have
+              Type, Best by and a PDF file column naming each row&apos;s PDF.
+              Rows without a PDF file use the PDF named after their batch, such
+              as <code>B-105.pdf</code>. Batches that already have a
+              certificate are updated, and blank cells keep the current value.
+            </s-paragraph>
+            <s-drop-zone
+              label="Results CSV"
+              name="csv"
+              accept=".csv,text/csv"
+              required
+            />
+            <s-drop-zone
+              label="Certificate PDFs"
+              name="pdfs"
+              accept="application/pdf"
+              multiple
+            />
+            <s-checkbox
+              name="dryRun"
+              label="Dry run: check every row without saving anything"
+              defaultChecked
+            />
+          </s-stack>
+        </s-section>
+
+        <s-stack direction="inline" justifyContent="end">
+          <s-button
+            type="submit"
+            variant="primary"
+            {...(importing ? { loading: true } : {})}
+          >
+            Import
+          </s-button>
+        </s-stack>
+      </Form>
+
+      {actionData?.results && (
+        <s-section heading={actionData.dryRun ? "Dry run" : "Results"}>
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base" alignItems="center">
+              <s-text>
+                {actionData.dryRun
+                  ? `${summary.valid} rows ready, ${summary.failed} with errors`
+                  : `${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`}
+              </s-text>
+              <s-button onClick={() => downloadReport(actionData.report)}>
+                Download report
+              </s-button>
+            </s-stack>
+
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Line</s-table-header>
+                <s-table-header listSlot="primary">Batch</s-table-header>
+                <s-table-header>Action</s-table-header>
+                <s-table-header>Status</s-table-header>
+                <s-table-header>Details</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {actionData.results.map((result) => {
+                  const badge = STATUS_BADGES[result.status];
+                  return (
+                    <s-table-row key={result.line}>
+                      <s-table-cell>{result.line}</s-table-cell>
+                      <s-table-cell>{result.batch_number}</s-table-cell>
+                      <s-table-cell>
+                        {result.action === "create" ? "New" : "Update"}
+                      </s-table-cell>
+                      <s-table-cell>
+                        <s-badge tone={badge.tone}>{badge.label}</s-badge>
+                      </s-table-cell>
+                      <s-table-cell>{result.message}</s-table-cell>
+                    </s-table-row>
+                  );
+                })}
+              </s-table-body>
+            </s-table>
+          </s-stack>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
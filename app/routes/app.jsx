@@ -17,6 +17,9 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/app">Home</s-link>
+        <s-link href="/app/coas/new">Add certificate</s-link>
+        <s-link href="/app/import">Import</s-link>
+        <s-link href="/app/audit">Audit</s-link>
         <s-link href="/app/additional">Additional page</s-link>
       </s-app-nav>
       <Outlet />
@@ -0,0 +1,177 @@
+// COA table app block: loads pages of certificates from the app proxy as JSON
+// and renders them into the block's table. Paging uses the proxy's cursors, so
+// only one page is ever fetched at a time.
+(function () {
+  var DATE_COLUMNS = ['date', 'best_by_date'];
+
+  function formatDate(value) {
+    if (!value) return '';
+    var date = new Date(value + 'T00:00:00Z');
+    if (isNaN(date)) return value;
+    return date.toLocaleDateString(document.documentElement.lang || undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC',
+    });
+  }
+
+  function cell(item, column) {
+    var td = document.createElement('td');
+    var value = item[column];
+
+    // Only http(s) values become links, so a javascript: or data: value can't run in the storefront
+    if (column === 'pdf_link' && /^https?:\/\//i.test(value || '')) {
+      var link = document.createElement('a');
+      link.href = value;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = 'View PDF';
+      td.appendChild(link);
+      return td;
+    }
+
+    td.textContent = DATE_COLUMNS.indexOf(column) !== -1 ? formatDate(value) : value || '';
+    if (column === 'best_by_date' && item.expiry_status && item.expiry_status !== 'valid') {
+      var badge = document.createElement('span');
+      badge.className = 'coa-table__badge coa-table__badge--' + item.expiry_status;
+      badge.textContent = item.expiry_status === 'expired' ? 'Expired' : 'Expiring soon';
+      td.appendChild(document.createTextNode(' '));
+      td.appendChild(badge);
+    }
+    return td;
+  }
+
+  function CoaTable(root) {
+    this.root = root;
+    this.source = root.dataset.source;
+    this.pageSize = root.dataset.pageSize || '20';
+    this.columns = (root.dataset.columns || '').split(',').filter(Boolean);
+    this.hideExpired = root.dataset.hideExpired === 'true';
+    this.form = root.querySelector('[data-coa-controls]');
+    this.rows = root.querySelector('[data-coa-rows]');
+    this.status = root.querySelector('[data-coa-status]');
+    this.previous = root.querySelector('[data-coa-previous]');
+    this.next = root.querySelector('[data-coa-next]');
+    this.pageInfo = null;
+    this.request = 0;
+
+    var table = this;
+    if (this.form) {
+      this.form.addEventListener('submit', function (event) {
+        event.preventDefault();
+        table.load();
+      });
+      var select = this.form.querySelector('select');
+      if (select) {
+        select.addEventListener('change', function () {
+          table.load();
+        });
+      }
+    }
+    this.previous.addEventListener('click', function () {
+      table.load({ before: table.pageInfo.startCursor });
+    });
+    this.next.addEventListener('click', function () {
+      table.load({ after: table.pageInfo.endCursor });
+    });
+
+    this.load();
+  }
+
+  CoaTable.prototype.url = function (cursor) {
+    var params = new URLSearchParams({ format: 'json', pageSize: this.pageSize });
+    if (this.form) {
+      new FormData(this.form).forEach(function (value, name) {
+        if (String(value).trim()) params.set(name, String(value).trim());
+      });
+    }
+    if (this.hideExpired) params.set('hide_expired', '1');
+    if (cursor && cursor.after) params.set('after', cursor.after);
+    if (cursor && cursor.before) params.set('before', cursor.before);
+    return this.source + '?' + params.toString();
+  };
+
+  CoaTable.prototype.load = function (cursor) {
+    var table = this;
+    var request = ++this.request;
+    this.root.setAttribute('aria-busy', 'true');
+    this.previous.disabled = true;
+    this.next.disabled = true;
+    this.setStatus('Loading certificates…');
+
+    fetch(this.url(cursor), { headers: { Accept: 'application/json' }, credentials: 'same-origin' })
+      .then(function (response) {
+        return response
+          .json()
+          .catch(function () {
+            return {};
+          })
+          .then(function (body) {
+            if (!response.ok) {
+              var error = new Error(body.error || 'Certificates could not be loaded');
+              error.status = response.status;
+              throw error;
+            }
+            return body;
+          });
+      })
+      .then(function (result) {
+        // A newer search or page may have finished first
+        if (request !== table.request) return;
+        table.render(result);
+      })
+      .catch(function (error) {
+        if (request !== table.request) return;
+        table.rows.replaceChildren();
+        table.setStatus(error.status === 401 ? 'Log in to see certificates.' : error.message);
+      })
+      .finally(function () {
+        if (request === table.request) table.root.removeAttribute('aria-busy');
+      });
+  };
+
+  CoaTable.prototype.render = function (result) {
+    var columns = this.columns;
+    var fragment = document.createDocumentFragment();
+    result.items.forEach(function (item) {
+      var tr = document.createElement('tr');
+      if (item.expiry_status === 'expired') tr.className = 'coa-table__row--expired';
+      columns.forEach(function (column) {
+        tr.appendChild(cell(item, column));
+      });
+      fragment.appendChild(tr);
+    });
+    this.rows.replaceChildren(fragment);
+
+    this.pageInfo = result.pageInfo;
+    this.previous.disabled = !result.pageInfo.hasPreviousPage;
+    this.next.disabled = !result.pageInfo.hasNextPage;
+
+    if (!result.items.length) {
+      this.setStatus('No certificates found.');
+    } else if (typeof result.totalCount === 'number') {
+      this.setStatus(result.totalCount === 1 ? '1 certificate' : result.totalCount + ' certificates');
+    } else {
+      this.setStatus('');
+    }
+  };
+
+  CoaTable.prototype.setStatus = function (message) {
+    this.status.textContent = message;
+    this.status.hidden = !message;
+  };
+
+  function init(scope) {
+    scope.querySelectorAll('[data-coa-table]').forEach(function (root) {
+      if (root.coaTable) return;
+      root.coaTable = new CoaTable(root);
+    });
+  }
+
+  init(document);
+  // Blocks added or edited in the theme editor are rendered again without a page load
+  document.addEventListener('shopify:section:load', function (event) {
+    init(event.target);
+  });
+})();
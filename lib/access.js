@@ -0,0 +1,82 @@
+import { shopifyGraphql } from './shopify-admin.js';
+import { HttpError } from './errors.js';
+
+const TAG_CACHE_MS = 5 * 60 * 1000;
+const customerTags = new Map();
+
+// Helper: Fetch a customer's tags, cached briefly per shop and customer
+async function fetchCustomerTags(shopDomain, customerId) {
+  const key = `${shopDomain}:${customerId}`;
+  const cached = customerTags.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.tags;
+
+  const data = await shopifyGraphql(shopDomain, `
+    query CustomerTags($id: ID!) {
+      customer(id: $id) { tags }
+    }
+  `, { id: `gid://shopify/Customer/${customerId}` });
+
+  const tags = (data.customer?.tags || []).map(tag => tag.toLowerCase());
+  customerTags.set(key, { tags, expiresAt: Date.now() + TAG_CACHE_MS });
+  return tags;
+}
+
+// Decide whether a proxy request may see a type's restricted content: the app proxy adds
+// logged_in_customer_id for logged-in customers, and customerTags (if set) must match one tag
+export async function canSeeRestricted(shopDomain, customerId, definition) {
+  const { restricted } = definition;
+  if (!restricted || !customerId) return false;
+  if (!restricted.customerTags.length) return true;
+
+  const tags = await fetchCustomerTags(shopDomain, customerId);
+  return restricted.customerTags.some(tag => tags.includes(tag.toLowerCase()));
+}
+
+// Whether a record is held back from the public by restricted.records
+export function isRestrictedRecord(item, definition) {
+  const records = definition.restricted?.records || {};
+  const normalize = value => String(value ?? '').trim().toLowerCase();
+  return Object.entries(records).some(([key, values]) => values.some(value => normalize(item[key]) === normalize(value)));
+}
+
+// Output keys held back from the public: restricted.fields, plus the expiry keys derived from a hidden expiry field
+export function hiddenKeys(definition) {
+  const hidden = definition.restricted?.fields || [];
+  if (!definition.expiry || !hidden.includes(definition.expiry.field)) return hidden;
+  return [...hidden, 'expiry_status', 'days_until_expiry'];
+}
+
+// Filters for the public view: records matching restricted.records are excluded and q only searches
+// visible keys. Filtering on a hidden key is refused, since the matches would give its values away.
+export function publicFilters(filters, definition) {
+  const hidden = hiddenKeys(definition);
+  const filtered = [
+    ...Object.keys(filters.fields || {}),
+    ...(filters.date_from || filters.date_to ? [definition.dateField] : []),
+    ...(filters.expiry_status || filters.hide_expired ? ['expiry_status'] : []),
+  ];
+  const refused = filtered.find(key => hidden.includes(key));
+  if (refused) {
+    throw new HttpError(400, `Filtering by ${refused} needs a logged-in customer`);
+  }
+
+  const records = definition.restricted?.records || {};
+  const visible = { ...filters };
+  if (Object.keys(records).length) visible.exclude = records;
+  if (hidden.length) visible.searchKeys = definition.search.filter(key => !hidden.includes(key));
+  return visible;
+}
+
+// Remove restricted fields (and the expiry keys derived from them) from the items of a response
+export function withoutRestrictedFields(result, definition) {
+  const hidden = hiddenKeys(definition);
+  if (!hidden.length) return result;
+  return {
+    ...result,
+    items: result.items.map(item => {
+      const visible = { ...item };
+      hidden.forEach(key => delete visible[key]);
+      return visible;
+    }),
+  };
+}
@@ -0,0 +1,213 @@
+import fetch from 'node-fetch';
+import { HttpError } from './errors.js';
+import { logger, currentRequest } from './logger.js';
+import { recordShopifyAttempt, recordShopifyOutcome, recordShopifyResponse, recordShopifyRetry } from './metrics.js';
+
+// Admin GraphQL client shared by the server, the CLI scripts and the lib helpers.
+// Shopify rate limits GraphQL by query cost: each shop has a bucket of points
+// (throttleStatus) that refills at restoreRate per second. The client paces
+// requests against the last throttleStatus it saw, and retries throttling,
+// 429s, 5xx responses and network errors with exponential backoff and jitter.
+
+// Error for an Admin API call that failed or ran out of retries. It's an
+// HttpError so routes send it like their own errors: 503 when Shopify was
+// busy or unreachable (worth retrying later), 502 for anything else.
+// code is THROTTLED, HTTP, GRAPHQL or NETWORK.
+export class AdminApiError extends HttpError {
+  constructor(code, message, { upstreamStatus = null, errors = [], attempts = 1, retryAfter = null } = {}) {
+    super(['THROTTLED', 'NETWORK'].includes(code) || upstreamStatus >= 500 ? 503 : 502, message);
+    this.name = 'AdminApiError';
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with equal jitter: half the step is fixed, half random
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 10000, random = Math.random } = {}) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+function isThrottled(errors) {
+  return errors.some(error => error.extensions?.code === 'THROTTLED');
+}
+
+// Seconds from a Retry-After header, or null
+function retryAfterSeconds(response) {
+  const value = Number(response.headers.get('retry-after'));
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// Create a client for one shop's Admin API. getAccessToken is called per request so
+// a reinstall's new token is picked up. shop labels its metrics. Returns graphql(query, variables)
+// => data; client.throttleStatus() reports the bucket as last seen, for logs and metrics.
+export function createAdminGraphqlClient({
+  endpoint,
+  shop = null,
+  getAccessToken,
+  fetch: fetchImpl = fetch,
+  maxRetries = 4,
+  baseDelayMs = 500,
+  maxDelayMs = 10000,
+  timeoutMs = 30000,
+  random = Math.random,
+  wait = sleep,
+}) {
+  // Bucket as of the last response, plus the points reserved by requests in flight
+  let bucket = null;
+  let reserved = 0;
+  // Requested cost of each query seen, to know how many points to wait for next time
+  const queryCosts = new Map();
+
+  const available = () => {
+    if (!bucket) return Infinity;
+    const restored = bucket.restoreRate * (Date.now() - bucket.at) / 1000;
+    return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored) - reserved;
+  };
+
+  // Wait until the bucket has refilled enough for this query's cost
+  async function pace(cost) {
+    const missing = Math.min(cost, bucket?.maximumAvailable ?? cost) - available();
+    if (missing > 0) {
+      await wait(Math.ceil(missing / bucket.restoreRate * 1000));
+    }
+  }
+
+  function recordCost(query, cost) {
+    if (!cost) return;
+    if (cost.requestedQueryCost) queryCosts.set(query, cost.requestedQueryCost);
+    if (cost.throttleStatus) bucket = { ...cost.throttleStatus, at: Date.now() };
+  }
+
+  async function send(query, variables, accessToken) {
+    try {
+      return await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': accessToken,
+        },
+        body: JSON.stringify({ query, variables }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      throw new AdminApiError('NETWORK', `Shopify Admin API unreachable: ${err.message}`);
+    }
+  }
+
+  // One attempt. Returns { data } or { retry: AdminApiError, delayMs } for a retryable failure.
+  async function attempt(query, variables, attemptNumber) {
+    const accessToken = await getAccessToken();
+    const cost = queryCosts.get(query) || 0;
+    await pace(cost);
+    reserved += cost;
+
+    let response;
+    recordShopifyAttempt(shop);
+    try {
+      response = await send(query, variables, accessToken);
+    } catch (err) {
+      return { retry: err, delayMs: null };
+    } finally {
+      reserved -= cost;
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      const retryAfter = retryAfterSeconds(response);
+      const code = response.status === 429 ? 'THROTTLED' : 'HTTP';
+      return {
+        retry: new AdminApiError(code, `Shopify Admin API responded ${response.status}`, {
+          upstreamStatus: response.status,
+          retryAfter,
+          attempts: attemptNumber,
+        }),
+        delayMs: retryAfter ? retryAfter * 1000 : null,
+      };
+    }
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new AdminApiError('HTTP', `Shopify Admin API responded ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`, {
+        upstreamStatus: response.status,
+        attempts: attemptNumber,
+      });
+    }
+
+    const { data, errors = [], extensions } = await response.json();
+    recordCost(query, extensions?.cost);
+    recordShopifyResponse(shop, extensions?.cost);
+
+    // Counted against the request being served, for its log line
+    const request = currentRequest();
+    if (request) {
+      request.graphqlRequests++;
+      request.graphqlCost += extensions?.cost?.actualQueryCost || 0;
+    }
+
+    if (isThrottled(errors)) {
+      // Wait for the points the query asked for, as Shopify's throttle docs suggest
+      const requested = extensions?.cost?.requestedQueryCost || cost;
+      const status = extensions?.cost?.throttleStatus;
+      const delayMs = status
+        ? Math.ceil(Math.max(0, requested - status.currentlyAvailable) / status.restoreRate * 1000)
+        : null;
+      return {
+        retry: new AdminApiError('THROTTLED', 'Shopify Admin API is busy (throttled); try again shortly', {
+          errors,
+          attempts: attemptNumber,
+          retryAfter: delayMs === null ? null : Math.ceil(delayMs / 1000),
+        }),
+        delayMs,
+      };
+    }
+    if (errors.length) {
+      throw new AdminApiError('GRAPHQL', `GraphQL query failed: ${errors[0]?.message || 'Unknown error'}`, {
+        errors,
+        attempts: attemptNumber,
+      });
+    }
+
+    return { data };
+  }
+
+  async function graphql(query, variables = {}) {
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      let result;
+      try {
+        result = await attempt(query, variables, attemptNumber);
+      } catch (err) {
+        if (err instanceof AdminApiError) {
+          recordShopifyOutcome(shop, err.code.toLowerCase());
+          logger.error('Admin API request failed', { err, attempts: attemptNumber });
+        }
+        throw err;
+      }
+      if (!result.retry) {
+        recordShopifyOutcome(shop, 'ok');
+        return result.data;
+      }
+
+      const error = result.retry;
+      error.attempts = attemptNumber;
+      if (attemptNumber > maxRetries) {
+        recordShopifyOutcome(shop, error.code.toLowerCase());
+        logger.error('Admin API request failed', { err: error, attempts: attemptNumber });
+        throw error;
+      }
+      // Jitter on top of Shopify's own wait too, so concurrent requests don't retry in step
+      const backoff = backoffDelay(attemptNumber - 1, { baseDelayMs, maxDelayMs, random });
+      const delayMs = result.delayMs === null ? backoff : result.delayMs + Math.round(random() * baseDelayMs);
+      recordShopifyRetry(shop, error.code);
+      logger.warn('Admin API request failed, retrying', { errorCode: error.code, upstreamStatus: error.upstreamStatus, attempt: attemptNumber, maxAttempts: maxRetries + 1, delayMs, err: error.message });
+      await wait(delayMs);
+    }
+  }
+
+  graphql.throttleStatus = () => (bucket ? { ...bucket, currentlyAvailable: Math.floor(available() + reserved) } : null);
+
+  return graphql;
+}
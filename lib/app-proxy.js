@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+// App proxy signatures: Shopify signs every proxied request with an HMAC-SHA256 (hex) of the
+// query params other than signature, sorted by key and joined as key=value with no separator.
+// Repeated params are joined with commas.
+export function appProxySignature(query, secret) {
+  const message = Object.keys(query)
+    .filter(key => key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('');
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+// Build the query string Shopify would send for a proxied request, for local testing with
+// the mock Admin API and for tests. customerId is empty for a logged-out visitor.
+export function signedProxyQuery(params = {}, { secret, shop, pathPrefix = '/apps/coas', customerId = '', timestamp = Math.floor(Date.now() / 1000) }) {
+  const query = {
+    shop,
+    logged_in_customer_id: String(customerId),
+    path_prefix: pathPrefix,
+    timestamp: String(timestamp),
+    ...params,
+  };
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    [].concat(value).forEach(item => search.append(key, item));
+  }
+  search.set('signature', appProxySignature(query, secret));
+  return search.toString();
+}
@@ -0,0 +1,124 @@
+import fetch from 'node-fetch';
+import { normalizeLookupValue } from './metaobjects.js';
+
+// Data-quality checks for COA entries. Entries come from fetchAllEntries, so records the
+// storefront drops are still here to be reported.
+
+export const AUDIT_CHECKS = {
+  excluded: 'Left out of listings',
+  missing_pdf: 'Missing PDF',
+  broken_pdf: 'Broken PDF link',
+  invalid_date: 'Unreadable date',
+  best_by_before_test: 'Best-by before test date',
+  duplicate_batch: 'Duplicate batch',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LINK_TIMEOUT_MS = 8000;
+const LINK_CONCURRENCY = 5;
+
+const isDate = value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// Whether a PDF link answers with a success status. Some hosts refuse HEAD, so those get a GET.
+async function checkLink(url) {
+  try {
+    let response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(LINK_TIMEOUT_MS) });
+    if (response.status === 405 || response.status === 403) {
+      response = await fetch(url, { signal: AbortSignal.timeout(LINK_TIMEOUT_MS) });
+      response.body?.destroy?.();
+    }
+    return response.ok ? null : `returns HTTP ${response.status}`;
+  } catch (err) {
+    return `can't be reached (${err.name === 'TimeoutError' ? 'timed out' : err.message})`;
+  }
+}
+
+// Check links a few at a time, returning url -> problem (or null)
+async function checkLinks(urls) {
+  const results = new Map();
+  const queue = [...new Set(urls)];
+  const worker = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      results.set(url, await checkLink(url));
+    }
+  };
+  await Promise.all(Array.from({ length: LINK_CONCURRENCY }, worker));
+  return results;
+}
+
+// Audit entries of a COA definition, returning one finding per problem:
+// { check, id, handle, batch_number, product, field, message }.
+// With checkLinks, every http(s) pdf_link is also requested.
+export async function auditEntries(entries, definition, { checkLinks: withLinks = false } = {}) {
+  const findings = [];
+  const add = (entry, check, field, message) => findings.push({
+    check,
+    id: entry.id,
+    handle: entry.handle,
+    batch_number: entry.batch_number || '',
+    product: entry.product || '',
+    field: field ? definition.fields[field] : null,
+    message,
+  });
+
+  const dateKeys = [definition.dateField, definition.expiry?.field].filter(Boolean);
+  const byBatch = new Map();
+
+  for (const entry of entries) {
+    const missing = definition.required.filter(key => !entry[key]);
+    if (missing.length) {
+      add(entry, 'excluded', missing[0], `Missing ${missing.map(key => definition.fields[key]).join(', ')}, so it isn't listed on the storefront`);
+    }
+
+    if (!entry.pdf_link) {
+      add(entry, 'missing_pdf', 'pdf_link', 'No PDF link');
+    } else if (!/^https?:\/\/[^\s]+$/.test(entry.pdf_link)) {
+      add(entry, 'broken_pdf', 'pdf_link', `"${entry.pdf_link}" isn't a web address`);
+    }
+
+    for (const key of dateKeys) {
+      if (entry[key] && !isDate(entry[key])) {
+        add(entry, 'invalid_date', key, `${definition.labels[key]} "${entry[key]}" isn't a YYYY-MM-DD date`);
+      }
+    }
+    const bestBy = entry[definition.expiry?.field];
+    const tested = entry[definition.dateField];
+    if (isDate(bestBy || '') && isDate(tested || '') && bestBy < tested) {
+      add(entry, 'best_by_before_test', definition.expiry.field, `Best by ${bestBy} is before the test date ${tested}`);
+    }
+
+    if (entry.batch_number) {
+      const batch = normalizeLookupValue(entry.batch_number);
+      byBatch.set(batch, [...(byBatch.get(batch) || []), entry]);
+    }
+  }
+
+  for (const sameBatch of byBatch.values()) {
+    if (sameBatch.length < 2) continue;
+    sameBatch.forEach(entry => {
+      const others = sameBatch.filter(other => other !== entry).map(other => other.handle);
+      add(entry, 'duplicate_batch', 'batch_number', `Batch ${entry.batch_number} is also on ${others.join(', ')}; batch lookups use the most recently updated one`);
+    });
+  }
+
+  if (withLinks) {
+    const links = entries.map(entry => entry.pdf_link).filter(link => /^https?:\/\//.test(link || ''));
+    const problems = await checkLinks(links);
+    entries.forEach(entry => {
+      const problem = problems.get(entry.pdf_link);
+      if (problem) add(entry, 'broken_pdf', 'pdf_link', `PDF link ${problem}`);
+    });
+  }
+
+  return findings;
+}
+
+// Finding counts per check, every check included
+export function countFindings(findings) {
+  const counts = Object.fromEntries(Object.keys(AUDIT_CHECKS).map(check => [check, 0]));
+  findings.forEach(finding => {
+    counts[finding.check]++;
+  });
+  return counts;
+}
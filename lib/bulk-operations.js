@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath, pathToFileURL } from 'url';
+import fetch from 'node-fetch';
+import { shopifyGraphql } from './shopify-admin.js';
+import { HttpError } from './errors.js';
+import { logger } from './logger.js';
+
+// Bulk Operations: Shopify runs a query over the whole catalog in the background and
+// publishes the result as a JSONL file, one node per line. Full crawls of large types
+// use this instead of paging 250 records per request (see iterateMetaobjects).
+//
+// COA_BULK_THRESHOLD: types with more records than this are crawled in bulk (default 2000, 0 never)
+// COA_BULK_FIXTURE:   JSONL file read in place of the operation's result URL, for tests
+
+const POLL_INTERVAL_MS = 2000;
+const TIMEOUT_MS = 10 * 60 * 1000;
+
+export function bulkThreshold() {
+  const threshold = Number(process.env.COA_BULK_THRESHOLD ?? 2000);
+  return Number.isFinite(threshold) && threshold > 0 ? threshold : Infinity;
+}
+
+// Number of metaobjects of a type, to decide between paging and a bulk operation
+export async function countMetaobjects(shopDomain, type) {
+  const data = await shopifyGraphql(shopDomain, `
+    query MetaobjectCount($type: String!) {
+      metaobjectDefinitionByType(type: $type) { metaobjectsCount }
+    }
+  `, { type });
+  return data.metaobjectDefinitionByType?.metaobjectsCount ?? 0;
+}
+
+// Calls waiting on a bulk operation, keyed by its gid, woken by the bulk_operations/finish webhook
+const finishWaiters = new Map();
+
+// bulk_operations/finish webhook payload: wake the poll for that operation
+export function bulkOperationFinished(payload) {
+  const id = payload?.admin_graphql_api_id;
+  finishWaiters.get(id)?.forEach(wake => wake());
+  finishWaiters.delete(id);
+}
+
+// Resolve after ms, or sooner when the operation's finish webhook arrives
+function waitForFinish(id, ms) {
+  return new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      finishWaiters.get(id)?.delete(wake);
+      resolve();
+    }, ms);
+    if (!finishWaiters.has(id)) finishWaiters.set(id, new Set());
+    finishWaiters.get(id).add(wake);
+  });
+}
+
+async function startBulkQuery(shopDomain, query) {
+  const data = await shopifyGraphql(shopDomain, `
+    mutation RunBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message code }
+      }
+    }
+  `, { query });
+
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors.length) {
+    // Shopify runs one bulk query per shop at a time
+    if (userErrors.some(error => error.code === 'OPERATION_IN_PROGRESS')) return null;
+    throw new HttpError(502, `Bulk operation could not start: ${userErrors.map(error => error.message).join('; ')}`);
+  }
+  return bulkOperation.id;
+}
+
+async function pollBulkOperation(shopDomain, id, { pollIntervalMs, timeoutMs }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const data = await shopifyGraphql(shopDomain, `
+      query BulkOperationStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation { id status errorCode objectCount url }
+        }
+      }
+    `, { id });
+
+    const operation = data.node;
+    if (operation?.status === 'COMPLETED') {
+      logger.info('Bulk operation finished', { shop: shopDomain, id, objectCount: Number(operation.objectCount) });
+      return operation.url;
+    }
+    if (!operation || ['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED'].includes(operation.status)) {
+      throw new HttpError(502, `Bulk operation ${id} ${operation ? operation.status.toLowerCase() : 'not found'}${operation?.errorCode ? ` (${operation.errorCode})` : ''}`);
+    }
+    if (Date.now() >= deadline) {
+      throw new HttpError(504, `Bulk operation ${id} did not finish in ${Math.round(timeoutMs / 1000)}s`);
+    }
+    await waitForFinish(id, pollIntervalMs);
+  }
+}
+
+// Operations in flight per shop, so concurrent crawls with the same query share one
+const running = new Map();
+
+// Run a bulk query. Resolves to { url } (url is null when nothing matched), or to null when the
+// shop is already running another bulk query and the caller should page through instead.
+export function runBulkQuery(shopDomain, query, { pollIntervalMs = POLL_INTERVAL_MS, timeoutMs = TIMEOUT_MS } = {}) {
+  const current = running.get(shopDomain);
+  if (current) {
+    return current.query === query ? current.result : Promise.resolve(null);
+  }
+
+  const result = (async () => {
+    const id = await startBulkQuery(shopDomain, query);
+    if (!id) return null;
+    logger.info('Bulk operation started', { shop: shopDomain, id });
+    return { url: await pollBulkOperation(shopDomain, id, { pollIntervalMs, timeoutMs }) };
+  })().finally(() => running.delete(shopDomain));
+  running.set(shopDomain, { query, result });
+  return result;
+}
+
+// The URL to read a finished operation's result from: COA_BULK_FIXTURE if set, else Shopify's
+export function bulkResultUrl(url) {
+  const fixture = process.env.COA_BULK_FIXTURE;
+  return fixture ? pathToFileURL(path.resolve(fixture)).href : url;
+}
+
+// Yield the parsed lines of a JSONL result, streamed from an https: or file: URL
+export async function* readJsonl(url) {
+  let input;
+  if (url.startsWith('file:')) {
+    input = fs.createReadStream(fileURLToPath(url));
+  } else {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new HttpError(502, `Bulk operation result download failed: HTTP ${response.status}`);
+    }
+    input = response.body;
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+
+// In-memory store (default). Oldest entries are evicted past maxEntries.
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async deleteByPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+  };
+}
+
+// Prisma store backed by the CacheEntry model, shared across instances using the same database
+export function createPrismaStore(prisma) {
+  return {
+    async get(key) {
+      const row = await prisma.cacheEntry.findUnique({ where: { key } });
+      if (!row) return null;
+      if (row.expiresAt.getTime() <= Date.now()) {
+        await prisma.cacheEntry.deleteMany({ where: { key } });
+        return null;
+      }
+      return { value: JSON.parse(row.value), etag: row.etag, expiresAt: row.expiresAt.getTime() };
+    },
+    async set(key, entry) {
+      const data = {
+        value: JSON.stringify(entry.value),
+        etag: entry.etag,
+        expiresAt: new Date(entry.expiresAt),
+      };
+      await prisma.cacheEntry.upsert({ where: { key }, create: { key, ...data }, update: data });
+    },
+    async deleteByPrefix(prefix) {
+      await prisma.cacheEntry.deleteMany({ where: { key: { startsWith: prefix } } });
+    },
+  };
+}
+
+// Cache of JSON responses keyed by shop and normalized query params.
+// A ttlSeconds of 0 disables caching.
+export function createCache({ store = createMemoryStore(), ttlSeconds = 300 } = {}) {
+  const shopPrefix = shop => `coas:${shop}:`;
+
+  return {
+    ttlSeconds,
+
+    key(shop, params) {
+      const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex');
+      return `${shopPrefix(shop)}${hash}`;
+    },
+
+    async get(key) {
+      if (!ttlSeconds) return null;
+      return store.get(key);
+    },
+
+    async set(key, value) {
+      const entry = {
+        value,
+        etag: `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex')}"`,
+        expiresAt: Date.now() + ttlSeconds * 1000,
+      };
+      if (ttlSeconds) await store.set(key, entry);
+      return entry;
+    },
+
+    // Drop every cached response for a shop
+    async invalidateShop(shop) {
+      await store.deleteByPrefix(shopPrefix(shop));
+    },
+  };
+}
@@ -0,0 +1,209 @@
+import { fieldSelection, normalizeLookupValue, toItem } from './metaobjects.js';
+
+// Writes and admin reads of metaobject entries, shared by the embedded admin and the CLI scripts.
+// graphql is (query, variables) => data, bound to the admin session or an offline token.
+
+// Admin view of a metaobject node. Unlike the storefront listing, records
+// missing required fields are kept so they can be fixed.
+function toEntry(node, definition) {
+  return {
+    ...toItem(node, { ...definition, required: [] }),
+    handle: node.handle,
+    updated_at: node.updatedAt,
+  };
+}
+
+// Every entry of a type, newest update first
+export async function fetchAllEntries(graphql, definition) {
+  const entries = [];
+  let after = null;
+
+  do {
+    const data = await graphql(`
+      query AdminEntries($type: String!, $after: String) {
+        metaobjects(type: $type, first: 250, after: $after, sortKey: "updated_at", reverse: true) {
+          nodes {
+            handle
+            updatedAt
+            ${fieldSelection(definition)}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, { type: definition.type, after });
+
+    entries.push(...data.metaobjects.nodes.map(node => toEntry(node, definition)));
+    after = data.metaobjects.pageInfo.hasNextPage ? data.metaobjects.pageInfo.endCursor : null;
+  } while (after);
+
+  return entries;
+}
+
+export async function findEntryByHandle(graphql, definition, handle) {
+  const data = await graphql(`
+    query AdminEntryByHandle($handle: MetaobjectHandleInput!) {
+      metaobjectByHandle(handle: $handle) {
+        handle
+        updatedAt
+        ${fieldSelection(definition)}
+      }
+    }
+  `, { handle: { type: definition.type, handle } });
+
+  return data.metaobjectByHandle ? toEntry(data.metaobjectByHandle, definition) : null;
+}
+
+// Metaobject handle for a batch number, so each batch maps to one entry: " B 105/2 " -> "b105-2"
+export function batchHandle(batchNumber) {
+  return normalizeLookupValue(batchNumber)
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Handles a new batch's entry may take, in order: batchHandle, then with -2, -3... appended.
+// Entries keep their handle when their batch number is edited, and different batch numbers
+// can share one ("B 105/2" and "B105-2"), so the plain handle may belong to another batch.
+export function* batchHandleCandidates(batchNumber) {
+  const base = batchHandle(batchNumber) || 'coa';
+  yield base;
+  for (let suffix = 2; ; suffix++) yield `${base}-${suffix}`;
+}
+
+// First candidate handle that isTaken(handle) says no entry has
+export async function availableBatchHandle(batchNumber, isTaken) {
+  for (const handle of batchHandleCandidates(batchNumber)) {
+    if (!(await isTaken(handle))) return handle;
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const MAX_PDF_BYTES = 20 * 1024 * 1024;
+
+function isDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Check a COA's field values, returning { outputKey: message } for each problem
+export function validateCoaFields(values) {
+  const errors = {};
+
+  if (!values.product) errors.product = 'Enter the product name';
+  if (!values.batch_number) {
+    errors.batch_number = 'Enter the batch number';
+  } else if (!batchHandle(values.batch_number)) {
+    errors.batch_number = 'Batch numbers need at least one letter or digit';
+  }
+  if (!isDate(values.date)) errors.date = 'Enter the test date as YYYY-MM-DD';
+  if (values.best_by_date && !isDate(values.best_by_date)) {
+    errors.best_by_date = 'Enter the best-by date as YYYY-MM-DD';
+  } else if (values.best_by_date && values.best_by_date < values.date) {
+    errors.best_by_date = "The best-by date can't be before the test date";
+  }
+
+  return errors;
+}
+
+// Check an uploaded PDF ({ type, size }), returning an error message or null
+export function validatePdf(file) {
+  if (file.type !== 'application/pdf') return 'Upload the certificate as a PDF';
+  if (file.size > MAX_PDF_BYTES) return 'PDFs can be up to 20 MB';
+  return null;
+}
+
+function userErrorMessage(userErrors) {
+  return userErrors.map(error => error.message).join('; ');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upload a PDF (a File) to Shopify Files and return its CDN URL: a staged upload,
+// then fileCreate, then wait for Shopify to finish processing the file
+export async function uploadPdf(graphql, file) {
+  const staged = await graphql(`
+    mutation StagePdf($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters { name value }
+        }
+        userErrors { field message }
+      }
+    }
+  `, {
+    input: [{
+      filename: file.name,
+      mimeType: 'application/pdf',
+      httpMethod: 'POST',
+      resource: 'FILE',
+      fileSize: String(file.size),
+    }],
+  });
+  const { stagedTargets, userErrors } = staged.stagedUploadsCreate;
+  if (userErrors.length) throw new Error(userErrorMessage(userErrors));
+
+  // The staged target is a signed storage upload; the built-in fetch sends FormData with the file
+  const [target] = stagedTargets;
+  const body = new FormData();
+  target.parameters.forEach(({ name, value }) => body.append(name, value));
+  body.append('file', file, file.name);
+  const upload = await globalThis.fetch(target.url, { method: 'POST', body });
+  if (!upload.ok) {
+    throw new Error(`PDF upload failed with status ${upload.status}`);
+  }
+
+  const created = await graphql(`
+    mutation CreatePdfFile($files: [FileCreateInput!]!) {
+      fileCreate(files: $files) {
+        files { id }
+        userErrors { field message }
+      }
+    }
+  `, { files: [{ originalSource: target.resourceUrl, contentType: 'FILE', alt: file.name }] });
+  if (created.fileCreate.userErrors.length) {
+    throw new Error(userErrorMessage(created.fileCreate.userErrors));
+  }
+
+  const fileId = created.fileCreate.files[0].id;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const data = await graphql(`
+      query PdfFileStatus($id: ID!) {
+        node(id: $id) {
+          ... on GenericFile { fileStatus url }
+        }
+      }
+    `, { id: fileId });
+    if (data.node?.fileStatus === 'READY' && data.node.url) return data.node.url;
+    if (data.node?.fileStatus === 'FAILED') throw new Error('Shopify could not process the PDF');
+    await sleep(500);
+  }
+  throw new Error('Timed out waiting for Shopify to process the PDF');
+}
+
+// Create or update the entry with this handle. Only output keys present in values are written.
+// Returns { metaobject, userErrors } from metaobjectUpsert.
+export async function upsertEntry(graphql, definition, handle, values) {
+  const fields = Object.entries(values)
+    .filter(([key]) => definition.fields[key])
+    .map(([key, value]) => ({ key: definition.fields[key], value: value ?? '' }));
+
+  const data = await graphql(`
+    mutation UpsertEntry($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+      metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+        metaobject { id handle }
+        userErrors { field message }
+      }
+    }
+  `, { handle: { type: definition.type, handle }, metaobject: { fields } });
+
+  return data.metaobjectUpsert;
+}
+
+// Shopify admin page for an entry, e.g. https://admin.shopify.com/store/dev-shop/content/entries/<type>/123
+export function entryAdminUrl(shopDomain, type, id) {
+  const store = shopDomain.replace(/\.myshopify\.com$/, '');
+  return `https://admin.shopify.com/store/${store}/content/entries/${type}/${String(id).split('/').pop()}`;
+}
@@ -0,0 +1,234 @@
+import { normalizeLookupValue } from './metaobjects.js';
+import { batchHandle, batchHandleCandidates, validateCoaFields, validatePdf, uploadPdf, upsertEntry } from './coa-entries.js';
+import { csvRow } from './export.js';
+
+// Bulk COA import: read a CSV, plan each row against the existing entries and the uploaded PDFs,
+// then upsert in throttled batches. Used by the admin import page and scripts/import-coas.js.
+
+// Parse CSV text into { line, cells } rows, skipping blank rows. line is where the row starts in the file.
+export function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some(cell => cell.trim())) rows.push({ line: rowLine, cells });
+    cells = [];
+    field = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\n') line++;
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+// Header names for the column naming each row's PDF file
+const PDF_FILE_HEADERS = ['pdf_file', 'pdf file', 'pdf', 'file', 'filename'];
+
+// Map each header cell to an output key (the key itself or its label, so exports import back) or 'pdf_file'
+function mapHeaders(header, definition) {
+  const names = new Map();
+  for (const key of Object.keys(definition.fields)) {
+    names.set(key.toLowerCase(), key);
+    names.set(definition.labels[key].toLowerCase(), key);
+  }
+  PDF_FILE_HEADERS.forEach(name => names.set(name, 'pdf_file'));
+  return header.map(cell => names.get(cell.trim().toLowerCase()) || null);
+}
+
+// Read the CSV rows into { line, values, pdfFile }, or return { error } if the header is unusable
+export function readImportRows(text, definition) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { error: 'The CSV is empty' };
+
+  const keys = mapHeaders(header.cells, definition);
+  const missing = ['product', 'batch_number', 'date'].filter(key => !keys.includes(key));
+  if (missing.length) {
+    return { error: `The CSV needs columns for ${missing.map(key => definition.labels[key]).join(', ')}` };
+  }
+
+  return {
+    rows: rows.map(({ line, cells }) => {
+      const values = {};
+      let pdfFile = '';
+      keys.forEach((key, index) => {
+        const cell = (cells[index] || '').trim();
+        if (key === 'pdf_file') pdfFile = cell;
+        else if (key) values[key] = cell;
+      });
+      return { line, values, pdfFile };
+    }),
+  };
+}
+
+const baseName = name => name.split(/[\\/]/).pop();
+const withoutExtension = name => baseName(name).replace(/\.pdf$/i, '');
+
+// Plan every row: create or update (keyed on batch number like the admin form), the PDF to
+// upload, and any validation errors. pdfs are { name, size, type, open() } with open resolving to a File.
+// New batches get a handle no existing entry or earlier row has, since upserts are keyed on it.
+export function planImport(rows, { existing, pdfs }) {
+  const entriesByBatch = new Map(existing.map(entry => [normalizeLookupValue(entry.batch_number), entry]));
+  const takenHandles = new Set(existing.map(entry => entry.handle));
+  const pdfsByName = new Map(pdfs.map(pdf => [baseName(pdf.name).toLowerCase(), pdf]));
+  const pdfsByBatch = new Map(pdfs.map(pdf => [batchHandle(withoutExtension(pdf.name)), pdf]));
+  const firstLines = new Map();
+
+  return rows.map(({ line, values, pdfFile }) => {
+    const errors = Object.values(validateCoaFields(values));
+    const batch = normalizeLookupValue(values.batch_number);
+    const entry = entriesByBatch.get(batch);
+
+    if (batch && firstLines.has(batch)) {
+      errors.push(`Batch ${values.batch_number} is also on line ${firstLines.get(batch)}`);
+    } else if (batch) {
+      firstLines.set(batch, line);
+    }
+
+    // A named file must be among the PDFs; otherwise a PDF named after the batch is used if there is one
+    let pdf = null;
+    if (pdfFile) {
+      pdf = pdfsByName.get(baseName(pdfFile).toLowerCase()) || null;
+      if (!pdf) errors.push(`PDF ${pdfFile} wasn't uploaded`);
+    } else if (batch) {
+      pdf = pdfsByBatch.get(batchHandle(values.batch_number)) || null;
+    }
+    if (pdf) {
+      const pdfError = validatePdf(pdf);
+      if (pdfError) errors.push(`${pdf.name}: ${pdfError}`);
+    } else if (!pdfFile && !values.pdf_link && !entry?.pdf_link) {
+      errors.push(`No PDF for batch ${values.batch_number || '(blank)'}`);
+    }
+
+    let handle = entry?.handle;
+    if (!handle) {
+      for (handle of batchHandleCandidates(values.batch_number)) {
+        if (!takenHandles.has(handle)) break;
+      }
+      takenHandles.add(handle);
+    }
+
+    return {
+      line,
+      batch_number: values.batch_number,
+      action: entry ? 'update' : 'create',
+      handle,
+      values,
+      pdf,
+      errors,
+    };
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Import one planned row, returning its result
+async function importRow(graphql, definition, row) {
+  const result = { line: row.line, batch_number: row.batch_number, action: row.action, handle: row.handle };
+  try {
+    // Blank cells leave the entry's current value alone
+    const values = Object.fromEntries(Object.entries(row.values).filter(([, value]) => value !== ''));
+    if (row.pdf) {
+      values.pdf_link = await uploadPdf(graphql, await row.pdf.open());
+    }
+    const { metaobject, userErrors } = await upsertEntry(graphql, definition, row.handle, values);
+    if (userErrors.length) {
+      return { ...result, status: 'failed', message: userErrors.map(error => error.message).join('; ') };
+    }
+    return { ...result, status: row.action === 'create' ? 'created' : 'updated', id: metaobject.id };
+  } catch (err) {
+    return { ...result, status: 'failed', message: err.message };
+  }
+}
+
+// Run a plan. Rows with errors fail without being sent; with dryRun nothing is sent and valid rows
+// come back as 'valid'. Rows go out batchSize at a time, with pauseMs between batches to stay
+// inside the Admin API rate limit.
+export async function runImport(plan, { graphql, definition, dryRun = false, batchSize = 10, pauseMs = 1000, onProgress = () => {} }) {
+  const results = new Array(plan.length);
+  const pending = [];
+
+  plan.forEach((row, index) => {
+    if (row.errors.length || dryRun) {
+      results[index] = {
+        line: row.line,
+        batch_number: row.batch_number,
+        action: row.action,
+        handle: row.handle,
+        status: row.errors.length ? 'failed' : 'valid',
+        message: row.errors.join('; '),
+      };
+    } else {
+      pending.push(index);
+    }
+  });
+
+  for (let start = 0; start < pending.length; start += batchSize) {
+    if (start > 0) await sleep(pauseMs);
+    const batch = pending.slice(start, start + batchSize);
+    const batchResults = await Promise.all(batch.map(index => importRow(graphql, definition, plan[index])));
+    batch.forEach((index, i) => {
+      results[index] = batchResults[i];
+    });
+    onProgress({ done: Math.min(start + batchSize, pending.length), total: pending.length });
+  }
+
+  return results;
+}
+
+export function summarizeImport(results) {
+  const summary = { created: 0, updated: 0, failed: 0, valid: 0 };
+  results.forEach(result => {
+    summary[result.status]++;
+  });
+  return summary;
+}
+
+// Results report as CSV, one line per row of the import file
+export function importReportCsv(results) {
+  return [
+    csvRow(['Line', 'Batch', 'Action', 'Status', 'Handle', 'Message']),
+    ...results.map(result => csvRow([
+      result.line,
+      result.batch_number,
+      result.action,
+      result.status,
+      result.handle,
+      result.message || '',
+    ])),
+  ].join('');
+}
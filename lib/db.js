@@ -0,0 +1,8 @@
+// Lazily load the Prisma client shared with the React Router app (app/db.server.js),
+// so routes that don't touch the database work without a generated client
+let prismaPromise;
+
+export function getPrisma() {
+  prismaPromise ||= import('../app/db.server.js').then(module => module.default);
+  return prismaPromise;
+}
@@ -0,0 +1,8 @@
+// Error carrying the HTTP status a route should respond with
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
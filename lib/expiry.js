@@ -0,0 +1,33 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXPIRY_STATUSES = ['valid', 'expiring_soon', 'expired'];
+
+// Today's date (UTC) as YYYY-MM-DD, the same shape as metaobject date fields
+export function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Whole days from today until a YYYY-MM-DD date (negative once it has passed), or null if it isn't a date
+export function daysUntil(date, asOf = today()) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) return null;
+  return Math.round((Date.parse(date) - Date.parse(asOf)) / DAY_MS);
+}
+
+// A best-by date is still valid on the day itself, and expiring soon within warningDays of it
+export function expiryStatus(days, warningDays) {
+  if (days === null) return null;
+  if (days < 0) return 'expired';
+  return days <= warningDays ? 'expiring_soon' : 'valid';
+}
+
+// Add expiry_status and days_until_expiry to an item of a type with expiry tracking
+export function withExpiry(item, definition, asOf = today()) {
+  if (!definition.expiry) return item;
+  const days = daysUntil(item[definition.expiry.field], asOf);
+  return {
+    ...item,
+    expiry_status: expiryStatus(days, definition.expiry.warningDays),
+    days_until_expiry: days,
+  };
+}
@@ -0,0 +1,114 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { HttpError } from './errors.js';
+
+// Wait for the response to drain when its buffer is full
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+}
+
+// Quote a CSV value, and keep spreadsheet apps from running text values that look like formulas
+function csvValue(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, CRLF-terminated
+export function csvRow(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+function createCsvWriter(res, { columns, labels }) {
+  return {
+    async start() {
+      await write(res, csvRow(columns.map(key => labels[key])));
+    },
+    async writeRows(items) {
+      if (!items.length) return;
+      await write(res, items.map(item => csvRow(columns.map(key => item[key]))).join(''));
+    },
+    async end() {
+      res.end();
+    },
+  };
+}
+
+function createJsonlWriter(res, { columns }) {
+  return {
+    async start() {},
+    async writeRows(items) {
+      if (!items.length) return;
+      const lines = items.map(item => JSON.stringify(Object.fromEntries(
+        [['id', item.id], ...columns.map(key => [key, item[key] ?? null])]
+      )));
+      await write(res, `${lines.join('\n')}\n`);
+    },
+    async end() {
+      res.end();
+    },
+  };
+}
+
+// XLSX rows are committed as they arrive, so the workbook streams like the text formats
+function createXlsxWriter(res, { columns, labels, sheetName }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+  sheet.columns = columns.map(key => ({ header: labels[key], key, width: 24 }));
+  sheet.getRow(1).font = { bold: true };
+
+  return {
+    async start() {
+      sheet.getRow(1).commit();
+    },
+    async writeRows(items) {
+      items.forEach(item => sheet.addRow(item).commit());
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', createWriter: createCsvWriter },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', createWriter: createJsonlWriter },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    createWriter: createXlsxWriter,
+  },
+};
+
+// Own keys only, so ?format=constructor or toString isn't taken for a format
+export function isExportFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format);
+}
+
+// Stream pages of items (an async iterable of arrays) to the response in the given format
+export async function streamExport(res, { format, definition, pages, filename }) {
+  if (!isExportFormat(format)) {
+    throw new HttpError(400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const { contentType, createWriter } = EXPORT_FORMATS[format];
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+
+  const writer = createWriter(res, {
+    columns: definition.columns,
+    labels: definition.labels,
+    sheetName: definition.title,
+  });
+
+  let count = 0;
+  await writer.start();
+  for await (const items of pages) {
+    await writer.writeRows(items);
+    count += items.length;
+  }
+  await writer.end();
+  return count;
+}
@@ -0,0 +1,116 @@
+import { HttpError } from './errors.js';
+import { EXPIRY_STATUSES } from './expiry.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse the filter params a type definition allows: one exact match param per
+// entry in definition.filters, date_from/date_to on its dateField, q, and
+// expiry_status/hide_expired on types with expiry tracking
+export function parseFilterParams(query = {}, definition) {
+  const filters = { fields: {} };
+  const text = param => (typeof query[param] === 'string' ? query[param].trim() : '');
+
+  for (const key of definition.filters) {
+    if (text(key)) filters.fields[key] = text(key);
+  }
+  if (text('q')) filters.q = text('q');
+
+  if (definition.dateField) {
+    for (const param of ['date_from', 'date_to']) {
+      if (query[param] === undefined || query[param] === '') continue;
+      if (!DATE_PATTERN.test(query[param]) || Number.isNaN(Date.parse(query[param]))) {
+        throw new HttpError(400, `${param} must be a date in YYYY-MM-DD format`);
+      }
+      filters[param] = query[param];
+    }
+
+    if (filters.date_from && filters.date_to && filters.date_from > filters.date_to) {
+      throw new HttpError(400, 'date_from must not be after date_to');
+    }
+  }
+
+  if (definition.expiry) {
+    if (text('expiry_status')) {
+      const statuses = text('expiry_status').split(',').map(status => status.trim());
+      const unknown = statuses.filter(status => !EXPIRY_STATUSES.includes(status));
+      if (unknown.length) {
+        throw new HttpError(400, `expiry_status must be one or more of ${EXPIRY_STATUSES.join(', ')}`);
+      }
+      filters.expiry_status = statuses;
+    }
+    if (['1', 'true'].includes(text('hide_expired'))) filters.hide_expired = true;
+  }
+
+  return filters;
+}
+
+export function hasFilters(filters = {}) {
+  return Object.keys(filters.fields || {}).length > 0
+    || Object.keys(filters.exclude || {}).length > 0
+    || !!(filters.q || filters.date_from || filters.date_to || filters.expiry_status || filters.hide_expired || filters.product_match);
+}
+
+// Quote a value for the Shopify search syntax
+function searchValue(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Build the metaobjects(query:) string for the exact match filters, or null
+export function buildSearchQuery(filters = {}, definition) {
+  const terms = Object.entries(filters.fields || {})
+    .map(([key, value]) => `fields.${definition.fields[key]}:${searchValue(value)}`);
+  return terms.length ? terms.join(' AND ') : null;
+}
+
+// Reference field values are a single gid or a JSON list of them
+function referenceIds(value) {
+  if (!value) return [];
+  if (!value.startsWith('[')) return [value];
+  try {
+    return JSON.parse(value);
+  } catch {
+    return [];
+  }
+}
+
+// Whether a record belongs to the product in a product_match filter (see productMatchFilter)
+function matchesProduct(item, productMatch, definition) {
+  const { reference, name } = definition.products;
+  if (reference && referenceIds(item[reference]).some(id => productMatch.ids.includes(id))) return true;
+  return !!name && productMatch.names.includes(String(item[name] ?? '').trim().toLowerCase());
+}
+
+// Server-side check for every filter. Pushed-down filters are rechecked because
+// Shopify ignores field filters on definitions where the field isn't filterable.
+export function matchesFilters(item, filters = {}, definition) {
+  const same = (a, b) => String(a ?? '').trim().toLowerCase() === b.toLowerCase();
+
+  for (const [key, value] of Object.entries(filters.fields || {})) {
+    if (!same(item[key], value)) return false;
+  }
+  // exclude maps output keys to values whose records are left out (e.g. restricted records)
+  for (const [key, values] of Object.entries(filters.exclude || {})) {
+    if (values.some(value => same(item[key], value))) return false;
+  }
+
+  const date = definition.dateField ? item[definition.dateField] : null;
+  if (filters.date_from && !(date >= filters.date_from)) return false;
+  if (filters.date_to && !(date <= filters.date_to)) return false;
+
+  if (filters.product_match && !matchesProduct(item, filters.product_match, definition)) return false;
+  if (filters.expiry_status && !filters.expiry_status.includes(item.expiry_status)) return false;
+  if (filters.hide_expired && item.expiry_status === 'expired') return false;
+
+  // searchKeys narrows the keys q searches (the public view leaves out restricted fields)
+  if (filters.q) {
+    const needle = filters.q.toLowerCase();
+    const haystack = (filters.searchKeys || definition.search)
+      .map(key => item[key])
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+
+  return true;
+}
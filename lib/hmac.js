@@ -0,0 +1,8 @@
+import crypto from 'crypto';
+
+// Constant-time string comparison that returns false (instead of throwing) on length mismatch
+export function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
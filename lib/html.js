@@ -0,0 +1,25 @@
+// Escape text for HTML element content and attribute values
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Minimal standalone page for errors and status messages
+export function renderMessagePage({ title, message, link = { href: '/', text: 'Back to home' } }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: sans-serif; max-width: 40rem; margin: 3rem auto;">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${link ? `<p><a href="${escapeHtml(link.href)}">${escapeHtml(link.text)}</a></p>` : ''}
+  </body>
+</html>`;
+}
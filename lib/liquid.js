@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHtml } from './html.js';
+
+const BUILT_IN_TEMPLATES = fileURLToPath(new URL('../templates/', import.meta.url));
+
+// Params the app proxy adds, which must not end up in storefront links
+const PROXY_PARAMS = ['shop', 'logged_in_customer_id', 'path_prefix', 'timestamp', 'signature'];
+
+// Escape text for HTML that Shopify renders as Liquid: braces become entities too, so values
+// from the request or a metaobject can't open a {{ }} or {% %} tag. Browsers show them unchanged.
+export function escapeLiquid(value) {
+  return escapeHtml(value)
+    .replace(/\{/g, '&#123;')
+    .replace(/\}/g, '&#125;');
+}
+
+// Liquid is asked for with ?format=liquid, or by a browser navigating to the proxy URL
+export function wantsLiquid(req) {
+  if (req.query.format) return req.query.format === 'liquid';
+  return req.accepts(['json', 'html']) === 'html';
+}
+
+// Load <name>.liquid from the override directory if it has one, else the built-in template
+function loadTemplate(names, templateDir) {
+  for (const dir of [templateDir, BUILT_IN_TEMPLATES].filter(Boolean)) {
+    for (const name of names) {
+      const file = path.join(dir, `${name}.liquid`);
+      if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8');
+    }
+  }
+  throw new Error(`Template ${names[names.length - 1]}.liquid not found`);
+}
+
+// Replace [[slot]] placeholders. Slots are pre-rendered HTML escaped with escapeLiquid; Shopify renders any
+// Liquid left in the template itself.
+function fillTemplate(template, slots) {
+  return template.replace(/\[\[\s*(\w+)\s*\]\]/g, (match, name) => slots[name] ?? '');
+}
+
+// Storefront URL for the current listing with some params replaced, keeping the proxy path
+function storefrontUrl(req, changes) {
+  const prefix = req.query.path_prefix || '';
+  const subpath = req.path.replace(/^\/coas/, '');
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...req.query, ...changes })) {
+    if (PROXY_PARAMS.includes(key) || value === undefined || value === null || value === '') continue;
+    params.set(key, value);
+  }
+  const query = params.toString();
+  return `${prefix}${subpath}${query ? `?${query}` : ''}`;
+}
+
+function renderCell(value) {
+  if (typeof value === 'string' && /^https?:\/\//.test(value)) {
+    return `<a href="${escapeLiquid(value)}" target="_blank" rel="noopener">View</a>`;
+  }
+  return escapeLiquid(value);
+}
+
+function renderTable(items, definition) {
+  const columns = definition.columns.filter(key => items.some(item => key in item));
+  if (!items.length) {
+    return '<p class="metaobject-paginator__empty">No results found.</p>';
+  }
+  const head = columns.map(key => `<th scope="col">${escapeLiquid(definition.labels[key])}</th>`).join('');
+  const rows = items
+    .map(item => `<tr>${columns.map(key => `<td data-label="${escapeLiquid(definition.labels[key])}">${renderCell(item[key])}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table class="metaobject-paginator__table">
+    <thead><tr>${head}</tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>`;
+}
+
+function renderPagination(req, pageInfo) {
+  const links = [];
+  if (pageInfo.hasPreviousPage && pageInfo.startCursor) {
+    const href = storefrontUrl(req, { before: pageInfo.startCursor, after: null, page: null });
+    links.push(`<a rel="prev" href="${escapeLiquid(href)}">&larr; Previous</a>`);
+  }
+  if (pageInfo.hasNextPage && pageInfo.endCursor) {
+    const href = storefrontUrl(req, { after: pageInfo.endCursor, before: null, page: null });
+    links.push(`<a rel="next" href="${escapeLiquid(href)}">Next &rarr;</a>`);
+  }
+  return links.length ? `<nav class="metaobject-paginator__pagination">${links.join(' ')}</nav>` : '';
+}
+
+function renderSearch(req) {
+  const action = storefrontUrl(req, Object.fromEntries(Object.keys(req.query).map(key => [key, null])));
+  const hidden = ['sort', 'pageSize']
+    .filter(key => req.query[key])
+    .map(key => `<input type="hidden" name="${key}" value="${escapeLiquid(req.query[key])}">`)
+    .join('');
+  return `<form class="metaobject-paginator__search" action="${escapeLiquid(action)}" method="get">
+    ${hidden}<input type="search" name="q" value="${escapeLiquid(req.query.q)}" aria-label="Search">
+    <button type="submit">Search</button>
+  </form>`;
+}
+
+// Render one page of a listing as Liquid for the app proxy.
+// Templates are looked up as <type>.liquid, then listing.liquid.
+export function renderListing(req, { definition, result, templateDir }) {
+  const template = loadTemplate([definition.type, 'listing'], templateDir);
+  const count = result.totalCount === null || result.totalCount === undefined
+    ? `Showing ${result.items.length}`
+    : `Showing ${result.items.length} of ${result.totalCount}`;
+  return fillTemplate(template, {
+    type: escapeLiquid(definition.type),
+    title: escapeLiquid(definition.title),
+    count: escapeLiquid(count),
+    search: renderSearch(req),
+    table: renderTable(result.items, definition),
+    pagination: renderPagination(req, result.pageInfo),
+  });
+}
+
+// Render an error or notice as Liquid, e.g. when a listing can't be shown
+export function renderMessage({ title, message, link, templateDir }) {
+  return fillTemplate(loadTemplate(['message'], templateDir), {
+    title: escapeLiquid(title),
+    message: escapeLiquid(message),
+    link: link ? `<p><a href="${escapeLiquid(link.href)}">${escapeLiquid(link.text)}</a></p>` : '',
+  });
+}
+
+// Render a single item as Liquid, e.g. a COA found by batch number
+export function renderDetail({ definition, item, title, link, templateDir }) {
+  const rows = definition.columns
+    .filter(key => key in item)
+    .map(key => `<dt>${escapeLiquid(definition.labels[key])}</dt><dd>${renderCell(item[key])}</dd>`)
+    .join('\n    ');
+  return fillTemplate(loadTemplate([`${definition.type}-detail`, 'detail'], templateDir), {
+    title: escapeLiquid(title),
+    details: `<dl class="metaobject-paginator__details">\n    ${rows}\n  </dl>`,
+    link: link ? `<p><a href="${escapeLiquid(link.href)}">${escapeLiquid(link.text)}</a></p>` : '',
+  });
+}
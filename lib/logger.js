@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging: one JSON object per line with time, level, msg, the current
+// request's requestId and any fields passed in. Secrets are redacted before writing:
+// fields named like signatures, HMACs, tokens, secrets, cookies, OAuth codes and customer
+// ids, plus the same values inside strings (query params, Shopify tokens, bearer tokens).
+//
+// LOG_LEVEL: debug, info (default), warn or error
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEY = /signature|hmac|token|secret|password|authorization|cookie|^code$|^state$|customer_?id/i;
+const SENSITIVE_PARAM = /([?&](?:signature|hmac|code|state|access_token|logged_in_customer_id)=)[^&\s"']*/gi;
+const SHOPIFY_TOKEN = /\bshp(?:at|ca|pa|ss)_[A-Za-z0-9]+/g;
+const BEARER_TOKEN = /(Bearer\s+)[^\s"']+/gi;
+
+function redactString(value) {
+  return value
+    .replace(SENSITIVE_PARAM, `$1${REDACTED}`)
+    .replace(SHOPIFY_TOKEN, REDACTED)
+    .replace(BEARER_TOKEN, `$1${REDACTED}`);
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: redactString(err.message || ''),
+    ...(err.status ? { status: err.status } : {}),
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.stack ? { stack: redactString(err.stack) } : {}),
+  };
+}
+
+// Copy a value with sensitive fields and substrings redacted
+export function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item != null && item !== '' ? REDACTED : redact(item, depth + 1),
+  ]));
+}
+
+// The request being handled, set by requestLogger(): { requestId, graphqlRequests, graphqlCost }
+const requestContext = new AsyncLocalStorage();
+
+export function currentRequest() {
+  return requestContext.getStore() || null;
+}
+
+// Create a logger. fields are added to every line; child() adds more.
+export function createLogger({ fields = {}, write = (line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`) } = {}) {
+  function log(level, msg, data = {}) {
+    // Read per call, so LOG_LEVEL from .env applies once dotenv has loaded it
+    const threshold = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...(currentRequest() ? { requestId: currentRequest().requestId } : {}),
+      ...redact(fields),
+      ...redact(data instanceof Error ? { err: data } : data),
+    };
+    write(JSON.stringify(entry), level);
+  }
+
+  return {
+    debug: (msg, data) => log('debug', msg, data),
+    info: (msg, data) => log('info', msg, data),
+    warn: (msg, data) => log('warn', msg, data),
+    error: (msg, data) => log('error', msg, data),
+    child: extra => createLogger({ fields: { ...fields, ...extra }, write }),
+  };
+}
+
+export const logger = createLogger();
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Express middleware: give each request an id (the caller's X-Request-Id if it's sane, else a
+// new UUID), return it in X-Request-Id, and log one line per request with its status, timing,
+// query (redacted like everything else) and the Admin API calls it made. Mount it after the
+// body parsers: AsyncLocalStorage context doesn't survive their stream callbacks.
+export function requestLogger() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const context = {
+      requestId: incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID(),
+      graphqlRequests: 0,
+      graphqlCost: 0,
+    };
+    req.id = context.requestId;
+    res.set('X-Request-Id', context.requestId);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const entry = {
+        requestId: context.requestId,
+        method: req.method,
+        path: req.path,
+        route: req.route?.path ?? null,
+        ...(Object.keys(req.query).length ? { query: req.query } : {}),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        shop: req.query.shop || req.get('X-Shopify-Shop-Domain') || undefined,
+        cache: res.get('X-Cache') || undefined,
+        graphqlRequests: context.graphqlRequests,
+        graphqlCost: context.graphqlCost,
+      };
+      logger[res.statusCode >= 500 ? 'error' : 'info']('request', entry);
+    });
+
+    requestContext.run(context, next);
+  };
+}
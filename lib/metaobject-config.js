@@ -0,0 +1,181 @@
+import fs from 'fs';
+import { HttpError } from './errors.js';
+
+export const COA_TYPE = 'certificates_of_analysis';
+
+// Built-in definition for the original COA shape: output key -> metaobject field key
+const COA_DEFINITION = {
+  fields: {
+    date: 'date',
+    product: 'product_name',
+    product_type: 'product_type',
+    batch_number: 'batch_number',
+    pdf_link: 'pdf_link',
+    best_by_date: 'best_by_date',
+    product_ref: 'product_reference',
+  },
+  required: ['date', 'product'],
+  defaults: { product_type: '' },
+  filters: ['product', 'product_type', 'batch_number'],
+  dateField: 'date',
+  search: ['product', 'product_type', 'batch_number'],
+  sortable: ['date', 'product', 'batch_number', 'best_by_date'],
+  expiry: { field: 'best_by_date', warningDays: 30 },
+  products: { reference: 'product_ref', name: 'product', match: ['reference', 'title', 'handle', 'sku'] },
+  title: 'Certificates of Analysis',
+  labels: {
+    date: 'Test date',
+    product: 'Product',
+    product_type: 'Type',
+    batch_number: 'Batch',
+    pdf_link: 'Certificate',
+    best_by_date: 'Best by',
+    product_ref: 'Linked product',
+  },
+  columns: ['date', 'product', 'product_type', 'batch_number', 'pdf_link', 'best_by_date'],
+};
+
+// Ways a record can be matched to a Shopify product: its product/variant reference field,
+// or its name field equal to the product's title, handle or one of its variant SKUs
+export const PRODUCT_MATCHES = ['reference', 'title', 'handle', 'sku'];
+
+const OUTPUT_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FIELD_KEY = /^[A-Za-z0-9_-]+$/;
+const RESERVED_KEYS = ['id', 'updated_at', 'expiry_status', 'days_until_expiry'];
+
+// best_by_date -> Best by date
+function humanize(key) {
+  const words = key.replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Validate one type definition and fill in its defaults
+function normalizeDefinition(type, definition = {}) {
+  const fields = definition.fields || {};
+  const outputKeys = Object.keys(fields);
+  if (!outputKeys.length) {
+    throw new Error(`Metaobject type ${type} has no fields configured`);
+  }
+  for (const [outputKey, fieldKey] of Object.entries(fields)) {
+    if (!OUTPUT_KEY.test(outputKey) || RESERVED_KEYS.includes(outputKey)) {
+      throw new Error(`Invalid output key "${outputKey}" for metaobject type ${type}`);
+    }
+    if (typeof fieldKey !== 'string' || !FIELD_KEY.test(fieldKey)) {
+      throw new Error(`Invalid field key for "${outputKey}" on metaobject type ${type}`);
+    }
+  }
+
+  const keyList = (name, fallback = []) => {
+    const keys = definition[name] ?? fallback;
+    const unknown = keys.filter(key => !fields[key]);
+    if (unknown.length) {
+      throw new Error(`Unknown ${name} keys for metaobject type ${type}: ${unknown.join(', ')}`);
+    }
+    return keys;
+  };
+
+  const dateField = definition.dateField || null;
+  if (dateField && !fields[dateField]) {
+    throw new Error(`Unknown dateField "${dateField}" for metaobject type ${type}`);
+  }
+
+  const expiry = definition.expiry || null;
+  if (expiry) {
+    if (!fields[expiry.field]) {
+      throw new Error(`Unknown expiry field "${expiry.field}" for metaobject type ${type}`);
+    }
+    if (expiry.warningDays !== undefined && !(Number.isInteger(expiry.warningDays) && expiry.warningDays >= 0)) {
+      throw new Error(`expiry.warningDays must be a whole number of days for metaobject type ${type}`);
+    }
+  }
+
+  const products = definition.products || null;
+  if (products) {
+    const unknownKeys = [products.reference, products.name].filter(key => key && !fields[key]);
+    if (unknownKeys.length) {
+      throw new Error(`Unknown products keys for metaobject type ${type}: ${unknownKeys.join(', ')}`);
+    }
+    const unknownMatches = (products.match || []).filter(match => !PRODUCT_MATCHES.includes(match));
+    if (unknownMatches.length) {
+      throw new Error(`Unknown products.match values for metaobject type ${type}: ${unknownMatches.join(', ')}`);
+    }
+  }
+
+  const restricted = definition.restricted || null;
+  if (restricted) {
+    const unknownFields = (restricted.fields || []).filter(key => !fields[key]);
+    const unknownRecords = Object.keys(restricted.records || {}).filter(key => !fields[key]);
+    if (unknownFields.length || unknownRecords.length) {
+      throw new Error(`Unknown restricted keys for metaobject type ${type}: ${[...unknownFields, ...unknownRecords].join(', ')}`);
+    }
+  }
+
+  return {
+    type,
+    fields,
+    required: keyList('required'),
+    defaults: definition.defaults || {},
+    filters: keyList('filters'),
+    dateField,
+    search: keyList('search', outputKeys),
+    sortable: keyList('sortable', outputKeys),
+    title: definition.title || humanize(type),
+    labels: Object.fromEntries(outputKeys.map(key => [key, definition.labels?.[key] || humanize(key)])),
+    columns: keyList('columns', outputKeys),
+    expiry: expiry && {
+      field: expiry.field,
+      warningDays: expiry.warningDays ?? 30,
+      hideExpired: !!expiry.hideExpired,
+    },
+    products: products && {
+      reference: products.reference || null,
+      name: products.name || null,
+      match: (products.match || PRODUCT_MATCHES).filter(match => (match === 'reference' ? products.reference : products.name)),
+    },
+    restricted: restricted && {
+      type: !!restricted.type,
+      fields: restricted.fields || [],
+      records: restricted.records || {},
+      customerTags: restricted.customerTags || [],
+    },
+  };
+}
+
+function normalizeTypes(set = {}) {
+  return Object.fromEntries(
+    Object.entries(set.types || {}).map(([type, definition]) => [type, normalizeDefinition(type, definition)])
+  );
+}
+
+// Load the metaobject types each shop exposes. The config file looks like
+// { "default": { "types": { ... } }, "shops": { "<shop>.myshopify.com": { "types": { ... } } } }
+// and shop types are merged over the defaults, which always include certificates_of_analysis.
+export function loadMetaobjectConfig(path) {
+  let config = {};
+  if (path && fs.existsSync(path)) {
+    config = JSON.parse(fs.readFileSync(path, 'utf8'));
+  }
+
+  const defaults = {
+    [COA_TYPE]: normalizeDefinition(COA_TYPE, COA_DEFINITION),
+    ...normalizeTypes(config.default),
+  };
+  const shops = Object.fromEntries(
+    Object.entries(config.shops || {}).map(([shop, set]) => [shop, { ...defaults, ...normalizeTypes(set) }])
+  );
+
+  return {
+    typesForShop(shop) {
+      return Object.hasOwn(shops, shop) ? shops[shop] : defaults;
+    },
+    definition(shop, type) {
+      const types = this.typesForShop(shop);
+      // Own keys only, so a type named constructor or toString isn't found on the prototype
+      const definition = typeof type === 'string' && Object.hasOwn(types, type) ? types[type] : null;
+      if (!definition) {
+        throw new HttpError(404, `Metaobject type ${type} is not configured`);
+      }
+      return definition;
+    },
+  };
+}
@@ -0,0 +1,293 @@
+import { shopifyGraphql } from './shopify-admin.js';
+import { connectionArgs, paginatedResponse, MAX_PAGE_SIZE } from './pagination.js';
+import { hasFilters, buildSearchQuery, matchesFilters } from './filters.js';
+import { isNativeSort, paginateSorted, DEFAULT_SORT } from './sorting.js';
+import { HttpError } from './errors.js';
+import { AdminApiError } from './admin-graphql.js';
+import { logger } from './logger.js';
+import { withExpiry } from './expiry.js';
+import { measureCrawl, recordMetaobjectCount } from './metrics.js';
+import { bulkThreshold, bulkResultUrl, countMetaobjects, readJsonl, runBulkQuery } from './bulk-operations.js';
+
+// GraphQL selection for a type: one aliased field() per output key
+export function fieldSelection(definition) {
+  return [
+    'id',
+    ...Object.entries(definition.fields).map(([outputKey, fieldKey]) => `${outputKey}: field(key: "${fieldKey}") { value }`),
+  ].join('\n');
+}
+
+// Map a metaobject node to the configured output shape, or null if a required field is empty.
+// Types with expiry tracking also get expiry_status and days_until_expiry.
+export function toItem(node, definition) {
+  const item = { id: node.id };
+  for (const outputKey of Object.keys(definition.fields)) {
+    item[outputKey] = node[outputKey]?.value ?? definition.defaults[outputKey];
+  }
+  return definition.required.every(key => item[key]) ? withExpiry(item, definition) : null;
+}
+
+// Items yielded per chunk while reading a bulk operation's result
+const BULK_CHUNK_SIZE = 250;
+
+// Bulk query for every metaobject of a type. Bulk queries take no variables, so the
+// type and search are inlined as GraphQL string literals (JSON strings are valid ones).
+function bulkMetaobjectsQuery(definition, search) {
+  return `{
+    metaobjects(type: ${JSON.stringify(definition.type)}${search ? `, query: ${JSON.stringify(search)}` : ''}) {
+      edges {
+        node { updatedAt ${fieldSelection(definition)} }
+      }
+    }
+  }`;
+}
+
+// Yield the mapped items of a type from a bulk operation, BULK_CHUNK_SIZE at a time, or
+// return false without yielding when the shop is busy with another bulk operation
+async function* iterateBulkMetaobjects(shopDomain, definition, { search }) {
+  const operation = await runBulkQuery(shopDomain, bulkMetaobjectsQuery(definition, search));
+  if (!operation) return false;
+
+  const url = bulkResultUrl(operation.url);
+  if (!url) return true;
+
+  let chunk = [];
+  for await (const node of readJsonl(url)) {
+    const item = toItem(node, definition);
+    if (item) chunk.push(item);
+    if (chunk.length === BULK_CHUNK_SIZE) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length) yield chunk;
+  return true;
+}
+
+// Yield all metaobjects of a type one GraphQL page (of mapped items) at a time,
+// optionally narrowed by a metaobjects search query.
+// With bulk, types over the bulk threshold are read from a bulk operation instead, which comes
+// back in Shopify's own order rather than newest update first and can take minutes. Exports,
+// reports and other admin crawls use it; storefront listings and lookups pass bulk: false.
+export async function* iterateMetaobjects(shopDomain, definition, { search = null, bulk = true } = {}) {
+  const threshold = bulkThreshold();
+  if (bulk && threshold < Infinity) {
+    const count = await countMetaobjects(shopDomain, definition.type);
+    recordMetaobjectCount(shopDomain, definition.type, count);
+    if (count > threshold) {
+      if (yield* iterateBulkMetaobjects(shopDomain, definition, { search })) return;
+      logger.info('Bulk operation already running, paging instead', { shop: shopDomain, type: definition.type });
+    }
+  }
+
+  let after = null;
+
+  do {
+    const data = await shopifyGraphql(shopDomain, `
+      query AllMetaobjects($type: String!, $first: Int!, $after: String, $query: String) {
+        metaobjects(type: $type, first: $first, after: $after, query: $query, sortKey: "updated_at", reverse: true) {
+          edges {
+            node { ${fieldSelection(definition)} }
+            cursor
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, { type: definition.type, first: MAX_PAGE_SIZE, after, query: search });
+
+    const edges = data.metaobjects?.edges || [];
+    yield edges.map(edge => toItem(edge.node, definition)).filter(Boolean);
+
+    after = data.metaobjects?.pageInfo?.hasNextPage
+      ? data.metaobjects.pageInfo.endCursor
+      : null;
+  } while (after);
+}
+
+// Yield pages of the metaobjects that pass the filters, pushing what it can into the search query
+export async function* iterateMatchingMetaobjects(shopDomain, definition, filters = { fields: {} }) {
+  const search = buildSearchQuery(filters, definition);
+  for await (const items of iterateMetaobjects(shopDomain, definition, { search })) {
+    yield items.filter(item => matchesFilters(item, filters, definition));
+  }
+}
+
+// Fetch one metaobject by id (numeric or gid), or null if it isn't of the definition's type
+export async function fetchMetaobjectById(shopDomain, definition, id) {
+  const gid = String(id).startsWith('gid://') ? String(id) : `gid://shopify/Metaobject/${id}`;
+  const data = await shopifyGraphql(shopDomain, `
+    query MetaobjectById($id: ID!) {
+      metaobject(id: $id) {
+        type
+        ${fieldSelection(definition)}
+      }
+    }
+  `, { id: gid });
+
+  if (!data.metaobject || data.metaobject.type !== definition.type) return null;
+  return toItem(data.metaobject, definition);
+}
+
+// Normalize a lookup value (e.g. a batch number from a label): case and whitespace don't matter
+export function normalizeLookupValue(value) {
+  return String(value ?? '').replace(/\s+/g, '').toLowerCase();
+}
+
+// Find the most recently updated metaobject whose field matches a value after normalizing both,
+// among the records Shopify's search returns for it. The search doesn't match every spelling
+// (B105 for "B 105"); callers can match those against one shared crawl of the type.
+export async function findMetaobjectByField(shopDomain, definition, key, value) {
+  const wanted = normalizeLookupValue(value);
+  const search = buildSearchQuery({ fields: { [key]: value.trim() } }, definition);
+  for await (const items of iterateMetaobjects(shopDomain, definition, { search, bulk: false })) {
+    const found = items.find(item => normalizeLookupValue(item[key]) === wanted);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Fetch all metaobjects of a type with pagination, optionally narrowed by a metaobjects search query.
+// bulk as for iterateMetaobjects. Each call is one crawl in the coa_crawl_* metrics.
+export async function fetchAllMetaobjects(shopDomain, definition, { search = null, bulk = true } = {}) {
+  const allItems = [];
+
+  await measureCrawl({ shop: shopDomain, type: definition.type }, async () => {
+    for await (const items of iterateMetaobjects(shopDomain, definition, { search, bulk })) {
+      allItems.push(...items);
+    }
+  });
+
+  logger.debug('Fetched all metaobjects', { shop: shopDomain, type: definition.type, count: allItems.length });
+  return allItems;
+}
+
+// Shopify rejects a cursor it didn't issue with a GraphQL error; that's the caller's mistake, not Shopify's
+function isCursorError(err) {
+  return err instanceof AdminApiError && err.code === 'GRAPHQL' && err.errors.some(error => /cursor/i.test(error.message || ''));
+}
+
+// Read metaobjects from a cursor in one direction until pageSize records pass the filters.
+// Records dropped by toItem or the filters don't count, so pages stay full. Filtered reads ask
+// Shopify for MAX_PAGE_SIZE records per call, since few may match, and stop partway through one.
+async function collectMetaobjects(shopDomain, definition, { pageSize, after, before, filters, sort = DEFAULT_SORT, withCount = false }) {
+  const backward = !!before;
+  const search = buildSearchQuery(filters, definition);
+  const batchSize = hasFilters(filters) ? MAX_PAGE_SIZE : pageSize;
+  const collected = [];
+  let cursor = backward ? before : after;
+  let typeCount = null;
+  let hasMore = true;
+
+  while (collected.length < pageSize && hasMore) {
+    const data = await shopifyGraphql(shopDomain, `
+      query MetaobjectPage($type: String!, $first: Int, $after: String, $last: Int, $before: String, $query: String, $reverse: Boolean!, $withCount: Boolean!) {
+        metaobjects(type: $type, first: $first, after: $after, last: $last, before: $before, query: $query, sortKey: "updated_at", reverse: $reverse) {
+          edges {
+            node { ${fieldSelection(definition)} }
+            cursor
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+          }
+        }
+        metaobjectDefinitionByType(type: $type) @include(if: $withCount) {
+          metaobjectsCount
+        }
+      }
+    `, {
+      type: definition.type,
+      query: search,
+      reverse: sort.direction === 'desc',
+      withCount: withCount && typeCount === null,
+      ...connectionArgs(backward
+        ? { pageSize: batchSize, before: cursor }
+        : { pageSize: batchSize, after: cursor }),
+    }).catch(err => {
+      throw isCursorError(err) ? new HttpError(400, 'Invalid cursor') : err;
+    });
+
+    if (data.metaobjectDefinitionByType) {
+      typeCount = data.metaobjectDefinitionByType.metaobjectsCount;
+      recordMetaobjectCount(shopDomain, definition.type, typeCount);
+    }
+
+    const edges = data.metaobjects?.edges || [];
+    // Walk away from the starting cursor in both directions
+    const ordered = backward ? [...edges].reverse() : edges;
+    const pageInfo = data.metaobjects?.pageInfo || {};
+    hasMore = backward ? !!pageInfo.hasPreviousPage : !!pageInfo.hasNextPage;
+
+    for (let i = 0; i < ordered.length; i++) {
+      cursor = ordered[i].cursor;
+      const item = toItem(ordered[i].node, definition);
+      if (item && matchesFilters(item, filters, definition)) {
+        collected.push({ item, cursor });
+        if (collected.length === pageSize) {
+          hasMore = hasMore || i < ordered.length - 1;
+          break;
+        }
+      }
+    }
+  }
+
+  if (backward) collected.reverse();
+
+  return {
+    items: collected.map(entry => entry.item),
+    pageInfo: {
+      hasNextPage: backward ? true : hasMore,
+      hasPreviousPage: backward ? hasMore : !!after,
+      startCursor: collected[0]?.cursor || null,
+      endCursor: collected[collected.length - 1]?.cursor || null,
+    },
+    typeCount,
+  };
+}
+
+// Fetch a single page of metaobjects.
+// Field sorts aren't supported by Shopify, so those crawl the filtered set and sort it here, which
+// also gives an exact totalCount. The crawl pages rather than waiting minutes on a bulk operation,
+// since listings answer storefront requests. For updated_at, totalCount is only known when the walk from the
+// first page reached the end; typeCount is Shopify's count for the whole type (unfiltered listings
+// only), which includes records skipped for missing required fields.
+export async function fetchMetaobjectPage(shopDomain, definition, { pageSize, after, before, page }, filters = { fields: {} }, sort = DEFAULT_SORT) {
+  if (!isNativeSort(sort)) {
+    const items = await fetchAllMetaobjects(shopDomain, definition, { search: buildSearchQuery(filters, definition), bulk: false });
+    const matching = items.filter(item => matchesFilters(item, filters, definition));
+    return paginatedResponse({
+      ...paginateSorted(matching, sort, { pageSize, after, before, page }),
+      pageSize,
+      page,
+    });
+  }
+
+  const withCount = !hasFilters(filters);
+  const fromStart = !after && !before;
+
+  // Page numbers skip the earlier pages' records from the start, up to MAX_PAGE_SIZE per call
+  if (page > 1) {
+    let remaining = (page - 1) * pageSize;
+    while (remaining > 0) {
+      const skipped = await collectMetaobjects(shopDomain, definition, { pageSize: Math.min(remaining, MAX_PAGE_SIZE), after, filters, sort });
+      if (!skipped.pageInfo.hasNextPage) {
+        throw new HttpError(404, `Page ${page} is out of range`);
+      }
+      remaining -= skipped.items.length;
+      after = skipped.pageInfo.endCursor;
+    }
+  }
+
+  const result = await collectMetaobjects(shopDomain, definition, { pageSize, after, before, filters, sort, withCount });
+  logger.debug('Fetched metaobject page', { shop: shopDomain, type: definition.type, count: result.items.length });
+
+  // Every matching record was seen: the skipped pages were full, and this one is the last
+  const totalCount = fromStart && !result.pageInfo.hasNextPage
+    ? (page > 1 ? (page - 1) * pageSize : 0) + result.items.length
+    : null;
+
+  return paginatedResponse({ ...result, totalCount, pageSize, page });
+}
@@ -0,0 +1,217 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Prometheus metrics, kept in memory per process and served as text by GET /metrics.
+// Counters only go up, gauges are set (or computed when scraped) and histograms count
+// observations into cumulative buckets. Labels are plain objects; keep their values to a
+// small set (route patterns, shops, types), never ids or query strings.
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CRAWL_SECONDS_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+const CRAWL_REQUEST_BUCKETS = [1, 2, 5, 10, 20, 50, 100, 200, 500];
+const CRAWL_COST_BUCKETS = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value != null);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series key: label values in name order, so { a, b } and { b, a } are the same series
+const seriesKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key] ?? null]));
+
+// Create a registry. Each metric is registered once by name and returns the existing one after that.
+export function createRegistry() {
+  const metrics = new Map();
+
+  function register(name, help, type, create) {
+    if (!metrics.has(name)) metrics.set(name, { name, help, type, ...create() });
+    return metrics.get(name);
+  }
+
+  function counter(name, help) {
+    const metric = register(name, help, 'counter', () => ({ series: new Map() }));
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labels);
+        const current = metric.series.get(key);
+        metric.series.set(key, { labels, value: (current?.value || 0) + amount });
+      },
+      value: (labels = {}) => metric.series.get(seriesKey(labels))?.value || 0,
+    };
+  }
+
+  // collect(set), if given, runs at scrape time to set the current values
+  function gauge(name, help, { collect = null } = {}) {
+    const metric = register(name, help, 'gauge', () => ({ series: new Map(), collect }));
+    return {
+      set(labels, value) {
+        metric.series.set(seriesKey(labels), { labels, value });
+      },
+      value: (labels = {}) => metric.series.get(seriesKey(labels))?.value,
+    };
+  }
+
+  function histogram(name, help, { buckets = HTTP_BUCKETS } = {}) {
+    const metric = register(name, help, 'histogram', () => ({ series: new Map(), buckets }));
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labels);
+        if (!metric.series.has(key)) {
+          metric.series.set(key, { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = metric.series.get(key);
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  // Prometheus text exposition format (version 0.0.4)
+  function render() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      if (metric.collect) {
+        metric.series.clear();
+        metric.collect((labels, value) => metric.series.set(seriesKey(labels), { labels, value }));
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+export const registry = createRegistry();
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// HTTP traffic, labelled by Express route pattern rather than path so ids don't explode the series
+const httpRequests = registry.counter('coa_http_requests_total', 'HTTP requests handled, by route, method and status.');
+const httpDuration = registry.histogram('coa_http_request_duration_seconds', 'HTTP request latency in seconds, by route, method and status.');
+
+// Admin API calls, counted per shop by the Admin GraphQL client
+const shopifyRequests = registry.counter('coa_shopify_requests_total', 'Admin GraphQL calls by shop and outcome (ok, or the AdminApiError code after retries).');
+const shopifyAttempts = registry.counter('coa_shopify_attempts_total', 'Admin GraphQL HTTP requests sent, including retries.');
+const shopifyThrottled = registry.counter('coa_shopify_throttled_total', 'Admin GraphQL attempts throttled by Shopify (HTTP 429 or THROTTLED errors).');
+const shopifyRetries = registry.counter('coa_shopify_retries_total', 'Admin GraphQL retries, by error code.');
+const shopifyCost = registry.counter('coa_shopify_query_cost_points_total', 'Actual query cost points used by Admin GraphQL calls.');
+
+// Full crawls of a metaobject type (fetchAllMetaobjects): time, Admin API requests and cost each
+const crawlDuration = registry.histogram('coa_crawl_duration_seconds', 'Time to fetch every metaobject of a type, in seconds.', { buckets: CRAWL_SECONDS_BUCKETS });
+const crawlRequests = registry.histogram('coa_crawl_graphql_requests', 'Admin GraphQL requests (pages, counts and bulk polls) made per full crawl.', { buckets: CRAWL_REQUEST_BUCKETS });
+const crawlCost = registry.histogram('coa_crawl_cost_points', 'Query cost points used per full crawl.', { buckets: CRAWL_COST_BUCKETS });
+
+const signatureFailures = registry.counter('coa_signature_failures_total', 'Requests rejected by signature checks, by check (app_proxy, webhook, oauth) and reason.');
+
+const cacheRequests = registry.counter('coa_cache_requests_total', 'Listing cache lookups, by result (hit or miss).');
+registry.gauge('coa_cache_hit_ratio', 'Share of listing cache lookups served from the cache since the process started.', {
+  collect: set => {
+    const hits = cacheRequests.value({ result: 'hit' });
+    const total = hits + cacheRequests.value({ result: 'miss' });
+    if (total) set({}, hits / total);
+  },
+});
+
+const records = registry.gauge('coa_records', 'Metaobjects of a type as last counted by Shopify, by shop and type.');
+
+registry.gauge('coa_process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds.').set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+// Express middleware: count every request and time it once the response is sent.
+// Requests that matched no route share the route label "unmatched".
+export function requestMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const labels = {
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        method: req.method,
+        status: String(res.statusCode),
+      };
+      httpRequests.inc(labels);
+      httpDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+// The crawl being measured by measureCrawl(), if any
+const crawlContext = new AsyncLocalStorage();
+
+// An Admin API attempt got a response; cost is its extensions.cost
+export function recordShopifyResponse(shop, cost) {
+  const points = cost?.actualQueryCost || 0;
+  shopifyCost.inc({ shop }, points);
+  const crawl = crawlContext.getStore();
+  if (crawl) {
+    crawl.requests++;
+    crawl.cost += points;
+  }
+}
+
+export function recordShopifyAttempt(shop) {
+  shopifyAttempts.inc({ shop });
+}
+
+export function recordShopifyRetry(shop, code) {
+  shopifyRetries.inc({ shop, code });
+  if (code === 'THROTTLED') shopifyThrottled.inc({ shop });
+}
+
+// A call finished: outcome is 'ok' or the error's code, lowercased
+export function recordShopifyOutcome(shop, outcome) {
+  shopifyRequests.inc({ shop, outcome });
+  if (outcome === 'throttled') shopifyThrottled.inc({ shop });
+}
+
+// Run fn as one crawl of a type, observing its duration and the requests and cost it used
+export async function measureCrawl({ shop, type }, fn) {
+  const crawl = { requests: 0, cost: 0 };
+  const started = process.hrtime.bigint();
+  try {
+    return await crawlContext.run(crawl, fn);
+  } finally {
+    const labels = { shop, type };
+    crawlDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    crawlRequests.observe(labels, crawl.requests);
+    crawlCost.observe(labels, crawl.cost);
+  }
+}
+
+export function recordSignatureFailure(check, reason) {
+  signatureFailures.inc({ check, reason });
+}
+
+export function recordCacheLookup(hit) {
+  cacheRequests.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+export function recordMetaobjectCount(shop, type, count) {
+  if (Number.isFinite(count)) records.set({ shop, type }, count);
+}
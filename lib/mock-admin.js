@@ -0,0 +1,313 @@
+import fs from 'fs';
+import express from 'express';
+
+// Offline stand-in for the Shopify Admin GraphQL API, backed by a JSON fixture
+// (fixtures/mock-shop.json). It answers the queries this app sends: metaobject
+// connections with real cursors, counts, lookups by id and handle, products,
+// customer tags, the shop's domain and bulk operations. Every response carries
+// extensions.cost from a simulated query cost bucket, so the client's pacing and
+// THROTTLED retries run as they would against a busy shop. Failures can be injected
+// with failNext() or POST /mock/failures.
+//
+// MOCK_SHOPIFY=1 makes server.js start one in-process and send every Admin API call to it.
+
+export const DEFAULT_FIXTURE = new URL('../fixtures/mock-shop.json', import.meta.url);
+
+const MAX_PAGE_SIZE = 250;
+
+export function loadMockFixture(file = DEFAULT_FIXTURE) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    shop: fixture.shop || {},
+    metaobjects: fixture.metaobjects || [],
+    products: fixture.products || [],
+    customers: fixture.customers || [],
+  };
+}
+
+// Arguments of a field call in the query text, e.g. metaobjects(type: $type, first: 50).
+// Values are variables, strings, numbers, booleans or null; objects aren't needed by the app.
+function fieldArgs(query, field, variables) {
+  const match = query.match(new RegExp(`\\b${field}\\(([^)]*)\\)`));
+  if (!match) return null;
+
+  const args = {};
+  for (const [, name, value] of match[1].matchAll(/(\w+):\s*(\$\w+|"(?:[^"\\]|\\.)*"|-?\d+|true|false|null)/g)) {
+    args[name] = value.startsWith('$') ? variables[value.slice(1)] ?? null : JSON.parse(value);
+  }
+  return args;
+}
+
+// Aliased metaobject fields in the selection: alias: field(key: "key") { value }
+function fieldAliases(query) {
+  return [...query.matchAll(/(\w+):\s*field\(key:\s*"([^"]+)"\)/g)].map(([, alias, key]) => [alias, key]);
+}
+
+// Whether a directive-guarded field is included, e.g. @include(if: $withCount)
+function included(query, field, variables) {
+  const match = query.match(new RegExp(`\\b${field}\\([^)]*\\)\\s*@(include|skip)\\(if:\\s*\\$(\\w+)\\)`));
+  if (!match) return query.includes(field);
+  return match[1] === 'include' ? !!variables[match[2]] : !variables[match[2]];
+}
+
+// Exact, case-insensitive fields.<key>:"value" terms joined with AND; other terms are ignored
+function matchesSearch(metaobject, search) {
+  if (!search) return true;
+  return [...search.matchAll(/fields\.(\w+):"((?:[^"\\]|\\.)*)"/g)].every(([, key, quoted]) => {
+    const wanted = JSON.parse(`"${quoted}"`).toLowerCase();
+    return String(metaobject.fields[key] ?? '').toLowerCase() === wanted;
+  });
+}
+
+const encodeCursor = id => Buffer.from(JSON.stringify({ id })).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString()).id;
+  } catch {
+    return null;
+  }
+}
+
+export function createMockAdmin({ fixture = loadMockFixture(), maximumAvailable = 2000, restoreRate = 100, bulkDelayMs = 0 } = {}) {
+  const failures = [];
+  const bulkOperations = new Map();
+  let bucket = { available: maximumAvailable, at: Date.now() };
+
+  // Points left in the simulated cost bucket, refilled at restoreRate per second
+  function currentlyAvailable() {
+    const restored = restoreRate * (Date.now() - bucket.at) / 1000;
+    return Math.min(maximumAvailable, bucket.available + restored);
+  }
+
+  function costExtension(requestedQueryCost, actualQueryCost) {
+    return {
+      cost: {
+        requestedQueryCost,
+        actualQueryCost,
+        throttleStatus: { maximumAvailable, currentlyAvailable: Math.floor(currentlyAvailable()), restoreRate },
+      },
+    };
+  }
+
+  function toNode(metaobject, aliases) {
+    const node = {
+      id: metaobject.id,
+      handle: metaobject.handle,
+      type: metaobject.type,
+      updatedAt: metaobject.updatedAt,
+      fields: Object.entries(metaobject.fields).map(([key, value]) => ({ key, value })),
+    };
+    for (const [alias, key] of aliases) {
+      node[alias] = metaobject.fields[key] == null ? null : { value: metaobject.fields[key] };
+    }
+    return node;
+  }
+
+  function metaobjectsOfType(type, search, reverse) {
+    const list = fixture.metaobjects
+      .filter(metaobject => metaobject.type === type && matchesSearch(metaobject, search))
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt) || a.id.localeCompare(b.id));
+    return reverse ? list.reverse() : list;
+  }
+
+  // metaobjects(...) connection with first/after or last/before paging
+  function connection(args, aliases) {
+    const { type, first, after, last, before, query: search, reverse } = args;
+    if (!first && !last) throw new Error('You must provide one of first or last');
+    if ((first || last) > MAX_PAGE_SIZE) throw new Error(`The maximum page size is ${MAX_PAGE_SIZE}`);
+
+    const list = metaobjectsOfType(type, search, !!reverse);
+    const indexOf = cursor => {
+      const index = list.findIndex(metaobject => metaobject.id === decodeCursor(cursor));
+      if (index === -1) throw new Error(`Invalid cursor ${cursor}`);
+      return index;
+    };
+    let start = after ? indexOf(after) + 1 : 0;
+    let end = before ? indexOf(before) : list.length;
+    if (first) end = Math.min(end, start + first);
+    else start = Math.max(start, end - last);
+
+    const page = list.slice(start, end);
+    const edges = page.map(metaobject => ({ node: toNode(metaobject, aliases), cursor: encodeCursor(metaobject.id) }));
+    return {
+      nodes: edges.map(edge => edge.node),
+      edges,
+      pageInfo: {
+        hasNextPage: end < list.length,
+        hasPreviousPage: start > 0,
+        startCursor: edges[0]?.cursor || null,
+        endCursor: edges[edges.length - 1]?.cursor || null,
+      },
+    };
+  }
+
+  function product({ id, identifier }) {
+    const found = fixture.products.find(candidate => (id ? candidate.id === id : candidate.handle === identifier?.handle));
+    return found && { ...found, variants: { nodes: found.variants || [] } };
+  }
+
+  function startBulkOperation(bulkQuery, baseUrl) {
+    const args = fieldArgs(bulkQuery, 'metaobjects', {});
+    if (!args?.type) {
+      return { bulkOperation: null, userErrors: [{ field: ['query'], message: 'The mock only runs metaobjects bulk queries', code: 'INVALID' }] };
+    }
+    const running = [...bulkOperations.values()].find(operation => operation.finishesAt > Date.now());
+    if (running) {
+      return { bulkOperation: null, userErrors: [{ field: null, message: 'A bulk query operation for this app and shop is already in progress', code: 'OPERATION_IN_PROGRESS' }] };
+    }
+
+    const id = `gid://shopify/BulkOperation/${bulkOperations.size + 1}`;
+    const aliases = fieldAliases(bulkQuery);
+    const lines = metaobjectsOfType(args.type, args.query, false).map(metaobject => JSON.stringify(toNode(metaobject, aliases)));
+    bulkOperations.set(id, { id, lines, url: `${baseUrl}/bulk/${id.split('/').pop()}.jsonl`, finishesAt: Date.now() + bulkDelayMs });
+    return { bulkOperation: { id, status: 'CREATED' }, userErrors: [] };
+  }
+
+  function bulkOperationStatus(id) {
+    const operation = bulkOperations.get(id);
+    if (!operation) return null;
+    const done = operation.finishesAt <= Date.now();
+    return {
+      id,
+      status: done ? 'COMPLETED' : 'RUNNING',
+      errorCode: null,
+      objectCount: String(done ? operation.lines.length : 0),
+      url: done && operation.lines.length ? operation.url : null,
+    };
+  }
+
+  // Cost Shopify would ask for up front: connections cost their page size, mutations 10
+  function requestedCost(query, variables) {
+    if (/\bbulkOperationRunQuery\(/.test(query)) return 10;
+    const metaobjects = fieldArgs(query, 'metaobjects', variables);
+    return metaobjects ? (metaobjects.first || metaobjects.last || 0) + 3 : 1;
+  }
+
+  // Resolve the root fields the query selects. Returns { data, actual } with the actual cost.
+  function execute(query, variables, baseUrl) {
+    const data = {};
+    let actual = 1;
+
+    const metaobjects = fieldArgs(query, 'metaobjects', variables);
+    if (metaobjects) {
+      const page = connection(metaobjects, fieldAliases(query));
+      data.metaobjects = page;
+      actual += page.nodes.length + 2;
+    }
+    if (included(query, 'metaobjectDefinitionByType', variables)) {
+      const { type } = fieldArgs(query, 'metaobjectDefinitionByType', variables);
+      data.metaobjectDefinitionByType = { metaobjectsCount: metaobjectsOfType(type).length };
+    }
+    const byId = fieldArgs(query, 'metaobject', variables);
+    if (byId) {
+      const found = fixture.metaobjects.find(metaobject => metaobject.id === byId.id);
+      data.metaobject = found ? toNode(found, fieldAliases(query)) : null;
+    }
+    if (/\bmetaobjectByHandle\(/.test(query)) {
+      const { handle } = fieldArgs(query, 'metaobjectByHandle', variables);
+      const found = fixture.metaobjects.find(metaobject => metaobject.type === handle?.type && metaobject.handle === handle?.handle);
+      data.metaobjectByHandle = found ? toNode(found, fieldAliases(query)) : null;
+    }
+    if (/\bproduct\(/.test(query)) {
+      data.product = product(fieldArgs(query, 'product', variables)) || null;
+    }
+    if (/\bproductByIdentifier\(/.test(query)) {
+      const handle = variables.handle ?? query.match(/handle:\s*"([^"]+)"/)?.[1];
+      data.product = product({ identifier: { handle } }) || null;
+    }
+    if (/\bcustomer\(/.test(query)) {
+      const { id } = fieldArgs(query, 'customer', variables);
+      data.customer = fixture.customers.find(customer => customer.id === id) || null;
+    }
+    if (/\bshop\s*\{/.test(query)) {
+      data.shop = { name: fixture.shop.name || 'Mock shop', primaryDomain: { url: fixture.shop.primaryDomain || 'https://mock-shop.example.com' } };
+    }
+    if (/\bbulkOperationRunQuery\(/.test(query)) {
+      data.bulkOperationRunQuery = startBulkOperation(variables.query, baseUrl);
+      actual = 10;
+    }
+    if (/\bnode\(/.test(query)) {
+      data.node = bulkOperationStatus(fieldArgs(query, 'node', variables).id);
+    }
+
+    if (!Object.keys(data).length) {
+      throw new Error(`The mock Admin API doesn't support this operation: ${query.trim().split('\n')[0]}`);
+    }
+    return { data, actual };
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.post('/admin/api/:version/graphql.json', (req, res) => {
+    if (!req.get('X-Shopify-Access-Token')) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+
+    const failure = failures.shift();
+    if (failure?.status) {
+      if (failure.retryAfter) res.set('Retry-After', String(failure.retryAfter));
+      return res.status(failure.status).json({ errors: failure.message || `Injected ${failure.status}` });
+    }
+
+    const { query = '', variables = {} } = req.body || {};
+    const requested = requestedCost(query, variables);
+    const available = currentlyAvailable();
+    if (failure?.throttle || available < requested) {
+      return res.json({
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED', documentation: 'https://shopify.dev/api/usage/rate-limits' } }],
+        extensions: costExtension(requested, 0),
+      });
+    }
+    if (failure?.graphqlError) {
+      return res.json({ errors: [{ message: failure.graphqlError }] });
+    }
+
+    let result;
+    try {
+      result = execute(query, variables, `${req.protocol}://${req.get('host')}`);
+    } catch (err) {
+      return res.json({ errors: [{ message: err.message }] });
+    }
+
+    bucket = { available: available - result.actual, at: Date.now() };
+    res.json({ data: result.data, extensions: costExtension(requested, result.actual) });
+  });
+
+  app.get('/bulk/:id.jsonl', (req, res) => {
+    const operation = bulkOperations.get(`gid://shopify/BulkOperation/${req.params.id}`);
+    if (!operation) return res.status(404).end();
+    res.type('application/jsonl').send(operation.lines.map(line => `${line}\n`).join(''));
+  });
+
+  // Queue failures for the next requests, e.g. { status: 503, count: 2 }, { throttle: true } or { graphqlError: 'Boom' }
+  app.post('/mock/failures', (req, res) => {
+    failNext(req.body || {});
+    res.json({ queued: failures.length });
+  });
+
+  // Empty the cost bucket, so the next queries are throttled until it refills
+  app.post('/mock/drain', (req, res) => {
+    bucket = { available: 0, at: Date.now() };
+    res.json({ currentlyAvailable: 0 });
+  });
+
+  function failNext({ count = 1, ...failure } = {}) {
+    for (let i = 0; i < count; i++) failures.push(failure);
+  }
+
+  return { app, fixture, failNext };
+}
+
+// Start a mock Admin API on a port (0 for any free one). Resolves to { url, server, failNext, close }.
+export function startMockAdmin({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  const mock = createMockAdmin(options);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({ ...mock, url, server, close: () => new Promise(done => server.close(done)) });
+    });
+    server.on('error', reject);
+  });
+}
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { safeEqual } from './hmac.js';
+
+export const STATE_COOKIE = 'shopify_oauth_state';
+const STATE_MAX_AGE_SECONDS = 600;
+
+const SHOP_DOMAIN = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+
+// Only <name>.myshopify.com hosts may be used for OAuth requests
+export function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN.test(shop);
+}
+
+function signNonce(nonce, secret) {
+  return crypto.createHmac('sha256', secret).update(nonce).digest('hex');
+}
+
+// Create a random state nonce and the signed cookie that binds it to the browser
+export function createOAuthState(secret, { secure = true } = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const cookie = [
+    `${STATE_COOKIE}=${nonce}.${signNonce(nonce, secret)}`,
+    'Path=/auth/callback',
+    `Max-Age=${STATE_MAX_AGE_SECONDS}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : []),
+  ].join('; ');
+  return { nonce, cookie };
+}
+
+// Cookie that removes the state cookie once the callback has used it
+export function clearOAuthStateCookie() {
+  return `${STATE_COOKIE}=; Path=/auth/callback; Max-Age=0; HttpOnly; SameSite=Lax`;
+}
+
+function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+// The state param must match the nonce in a cookie this app signed
+export function verifyOAuthState(state, cookieHeader, secret) {
+  const [nonce, signature] = (readCookie(cookieHeader, STATE_COOKIE) || '').split('.');
+  if (!state || !nonce || !signature) return false;
+  return safeEqual(signature, signNonce(nonce, secret)) && safeEqual(nonce, state);
+}
+
+// Verify the hmac param Shopify adds to OAuth redirects: the other params,
+// sorted and form-encoded, signed with the app secret (hex)
+export function verifyOAuthHmac(query, secret) {
+  const { hmac, signature, ...params } = query;
+  if (typeof hmac !== 'string' || !hmac) return false;
+
+  const message = new URLSearchParams(
+    Object.keys(params)
+      .sort()
+      .map(key => [key, Array.isArray(params[key]) ? params[key].join(',') : params[key]])
+  ).toString();
+  const calculated = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return safeEqual(calculated, hmac);
+}
@@ -0,0 +1,62 @@
+import { HttpError } from './errors.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 250; // Admin API limit for first/last
+
+// Shopify's cursors and the sorted listings' keyset cursors are both base64 or base64url
+const CURSOR_PATTERN = /^[A-Za-z0-9+/_-]{1,1000}={0,2}$/;
+
+// Parse pageSize, after/before cursors and optional page number from a request query
+export function parsePaginationParams(query = {}) {
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const after = query.after || null;
+  const before = query.before || null;
+  if (after && before) {
+    throw new HttpError(400, 'Use either after or before, not both');
+  }
+  if ([after, before].some(cursor => cursor && !CURSOR_PATTERN.test(cursor))) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+
+  let page = null;
+  if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      throw new HttpError(400, 'page must be a positive integer');
+    }
+    if (after || before) {
+      throw new HttpError(400, 'page cannot be combined with after or before');
+    }
+  }
+
+  return { pageSize, after, before, page };
+}
+
+// Connection arguments for a forward (first/after) or backward (last/before) page
+export function connectionArgs({ pageSize, after, before }) {
+  return before
+    ? { first: null, after: null, last: pageSize, before }
+    : { first: pageSize, after: after || null, last: null, before: null };
+}
+
+// Response envelope shared by the paginated routes. totalCount is the exact number of matching
+// records, or null when it isn't known; typeCount is Shopify's count of every record of the type.
+export function paginatedResponse({ items, pageInfo, totalCount = null, typeCount = null, pageSize, page }) {
+  return {
+    items,
+    pageInfo: {
+      hasNextPage: !!pageInfo?.hasNextPage,
+      hasPreviousPage: !!pageInfo?.hasPreviousPage,
+      startCursor: pageInfo?.startCursor || null,
+      endCursor: pageInfo?.endCursor || null,
+    },
+    totalCount,
+    typeCount,
+    pageSize,
+    ...(page ? { page } : {}),
+  };
+}
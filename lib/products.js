@@ -0,0 +1,78 @@
+import { shopifyGraphql } from './shopify-admin.js';
+import { HttpError } from './errors.js';
+import { createMemoryStore } from './cache.js';
+
+const PRODUCT_CACHE_MS = 5 * 60 * 1000;
+// Bounded like the listing cache, so lookups of made-up handles can't grow it without limit
+const products = createMemoryStore({ maxEntries: 500 });
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  variants(first: 250) {
+    nodes { id sku }
+  }
+`;
+
+// Helper: Fetch a product by id or handle, cached briefly per shop
+async function fetchProduct(shopDomain, { id, handle }) {
+  const key = `${shopDomain}:${id ? `id:${id}` : `handle:${handle}`}`;
+  const cached = await products.get(key);
+  if (cached) return cached.product;
+
+  const data = id
+    ? await shopifyGraphql(shopDomain, `
+        query ProductById($id: ID!) {
+          product(id: $id) { ${PRODUCT_FIELDS} }
+        }
+      `, { id })
+    : await shopifyGraphql(shopDomain, `
+        query ProductByHandle($handle: String!) {
+          product: productByIdentifier(identifier: { handle: $handle }) { ${PRODUCT_FIELDS} }
+        }
+      `, { handle });
+
+  const product = data.product && {
+    id: data.product.id,
+    title: data.product.title,
+    handle: data.product.handle,
+    variantIds: data.product.variants.nodes.map(variant => variant.id),
+    skus: data.product.variants.nodes.map(variant => variant.sku).filter(Boolean),
+  };
+  await products.set(key, { product, expiresAt: Date.now() + PRODUCT_CACHE_MS });
+  return product;
+}
+
+// Parse ?product_id= (numeric or gid); null when absent
+export function parseProductId(value) {
+  if (value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return `gid://shopify/Product/${text}`;
+  if (/^gid:\/\/shopify\/Product\/\d+$/.test(text)) return text;
+  throw new HttpError(400, 'product_id must be a product id');
+}
+
+// Build the product_match filter for a product, by id or handle: the product and variant ids
+// a reference can hold, and the names (title, handle, SKUs) the name field can equal.
+// Throws 404 when the product doesn't exist, and 400 when the type can't be linked to products.
+export async function productMatchFilter(shopDomain, definition, { id, handle }) {
+  if (!definition.products) {
+    throw new HttpError(400, `${definition.type} isn't linked to products`);
+  }
+  const product = await fetchProduct(shopDomain, { id, handle });
+  if (!product) {
+    throw new HttpError(404, id ? `No product with id ${id.split('/').pop()}` : `No product with handle ${handle}`);
+  }
+
+  const { match } = definition.products;
+  return {
+    product: { id: product.id, title: product.title, handle: product.handle },
+    ids: match.includes('reference') ? [product.id, ...product.variantIds] : [],
+    names: [
+      ...(match.includes('title') ? [product.title] : []),
+      ...(match.includes('handle') ? [product.handle] : []),
+      ...(match.includes('sku') ? product.skus : []),
+    ].map(name => name.trim().toLowerCase()),
+  };
+}
@@ -0,0 +1,117 @@
+import QRCode from 'qrcode';
+
+// Fixed options so the same text always produces the same code
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 4 };
+
+export async function qrPng(text, { width = 512 } = {}) {
+  return QRCode.toBuffer(text, { ...QR_OPTIONS, type: 'png', width });
+}
+
+export async function qrSvg(text) {
+  return QRCode.toString(text, { ...QR_OPTIONS, type: 'svg' });
+}
+
+// Page sizes in PDF points (1/72 inch)
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89],
+};
+
+export const LABEL_PAGE_SIZES = Object.keys(PAGE_SIZES);
+
+const LABEL_COLUMNS = 3;
+const LABEL_ROWS = 4;
+const PAGE_MARGIN = 36;
+const QR_SIZE = 108; // 1.5 inch
+
+// Escape text for a PDF string, replacing characters Helvetica's WinAnsi encoding can't show
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function trimNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// Content stream for one label: the QR modules as filled squares, then the text lines
+function labelContent(label, x, y, width) {
+  const { modules } = QRCode.create(label.url, { errorCorrectionLevel: QR_OPTIONS.errorCorrectionLevel });
+  const count = modules.size + QR_OPTIONS.margin * 2;
+  const moduleSize = QR_SIZE / count;
+  const qrX = x + (width - QR_SIZE) / 2;
+  const qrTop = y;
+
+  const squares = [];
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        const left = qrX + (col + QR_OPTIONS.margin) * moduleSize;
+        const top = qrTop - (row + QR_OPTIONS.margin + 1) * moduleSize;
+        squares.push(`${trimNumber(left)} ${trimNumber(top)} ${trimNumber(moduleSize)} ${trimNumber(moduleSize)} re`);
+      }
+    }
+  }
+
+  const text = label.lines.map((line, index) => {
+    if (!line) return null;
+    const size = index === 0 ? 10 : 8;
+    const font = index === 0 ? '/F2' : '/F1';
+    const lineY = qrTop - QR_SIZE - 4 - (index + 1) * 11;
+    // Rough Helvetica width, to keep long product names inside the label
+    const maxChars = Math.floor((width - 12) / (size * 0.55));
+    const shown = line.length > maxChars ? `${line.slice(0, maxChars - 3)}...` : line;
+    return `BT ${font} ${size} Tf ${trimNumber(x + 6)} ${trimNumber(lineY)} Td (${pdfText(shown)}) Tj ET`;
+  });
+
+  return ['0 g', squares.join('\n'), 'f', ...text.filter(Boolean)].join('\n');
+}
+
+// Build a printable PDF sheet of QR labels ({ url, lines }), 3 x 4 per page.
+// Written by hand with the built-in Helvetica fonts and no timestamps, so the output is deterministic.
+export function labelSheetPdf(labels, { pageSize = 'letter' } = {}) {
+  const [pageWidth, pageHeight] = PAGE_SIZES[pageSize];
+  const cellWidth = (pageWidth - PAGE_MARGIN * 2) / LABEL_COLUMNS;
+  const cellHeight = (pageHeight - PAGE_MARGIN * 2) / LABEL_ROWS;
+  const perPage = LABEL_COLUMNS * LABEL_ROWS;
+
+  const pages = [];
+  for (let start = 0; start < Math.max(labels.length, 1); start += perPage) {
+    const content = labels.slice(start, start + perPage).map((label, index) => {
+      const x = PAGE_MARGIN + (index % LABEL_COLUMNS) * cellWidth;
+      const y = pageHeight - PAGE_MARGIN - Math.floor(index / LABEL_COLUMNS) * cellHeight;
+      return labelContent(label, x, y, cellWidth);
+    });
+    pages.push(content.join('\n'));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  pages.forEach((content, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
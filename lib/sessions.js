@@ -0,0 +1,27 @@
+import { getPrisma } from './db.js';
+
+// Offline session ids follow the Shopify session storage convention
+export function offlineSessionId(shop) {
+  return `offline_${shop}`;
+}
+
+// Store (or replace) the offline access token for a shop
+export async function storeOfflineToken(shop, { accessToken, scope }) {
+  const prisma = await getPrisma();
+  const id = offlineSessionId(shop);
+  const data = { shop, state: '', isOnline: false, scope: scope || null, accessToken };
+  await prisma.session.upsert({ where: { id }, create: { id, ...data }, update: data });
+}
+
+// Look up the stored offline access token for a shop, or null
+export async function findOfflineToken(shop) {
+  const prisma = await getPrisma();
+  const session = await prisma.session.findUnique({ where: { id: offlineSessionId(shop) } });
+  return session?.accessToken || null;
+}
+
+// Forget every session for a shop (on uninstall)
+export async function deleteShopSessions(shop) {
+  const prisma = await getPrisma();
+  await prisma.session.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,89 @@
+import { findOfflineToken } from './sessions.js';
+import { isValidShopDomain } from './oauth.js';
+import { HttpError } from './errors.js';
+import { createAdminGraphqlClient } from './admin-graphql.js';
+import { registry } from './metrics.js';
+import { logger } from './logger.js';
+
+export const API_VERSION = '2025-10';
+
+// Clients kept at once; the least recently used shop's client is dropped past this
+const MAX_CLIENTS = 100;
+
+// Warn once, not on every Admin API call, when the sessions table can't be read
+let warnedSessionLookup = false;
+
+// Helper: Get the offline access token stored for a shop at install.
+// SHOPIFY_ACCESS_TOKEN is still accepted for SHOPIFY_SHOP, for deployments set up before tokens were stored,
+// including ones with no database set up at all. It is never sent to any other shop, nor when SHOPIFY_SHOP is unset.
+export async function getAccessToken(shop) {
+  if (!shop) throw new Error('No shop provided');
+  // The mock Admin API accepts any token, so no install is needed
+  if (process.env.MOCK_SHOPIFY_URL) return 'mock-token';
+
+  const { SHOPIFY_SHOP, SHOPIFY_ACCESS_TOKEN } = process.env;
+  const envToken = SHOPIFY_ACCESS_TOKEN && SHOPIFY_SHOP && SHOPIFY_SHOP === shop ? SHOPIFY_ACCESS_TOKEN : null;
+
+  let storedToken;
+  try {
+    storedToken = await findOfflineToken(shop);
+  } catch (err) {
+    if (!envToken) {
+      throw new Error(`Could not read the access token stored for ${shop} (run npm run setup): ${err.message}`);
+    }
+    if (!warnedSessionLookup) logger.warn('Session lookup failed, using SHOPIFY_ACCESS_TOKEN', { shop, err: err.message });
+    warnedSessionLookup = true;
+    return envToken;
+  }
+  if (storedToken) return storedToken;
+  if (envToken) return envToken;
+  throw new Error(`No access token stored for ${shop}. Install the app on the shop first.`);
+}
+
+// Admin GraphQL URL for a shop, or the mock Admin API's when MOCK_SHOPIFY_URL is set (see lib/mock-admin.js)
+export function adminEndpoint(shopDomain) {
+  const origin = process.env.MOCK_SHOPIFY_URL?.replace(/\/$/, '') || `https://${shopDomain}`;
+  return `${origin}/admin/api/${API_VERSION}/graphql.json`;
+}
+
+// One client per shop, since each shop has its own query cost bucket. Map order is least recently used first.
+const clients = new Map();
+
+export function adminClient(shopDomain) {
+  let client = clients.get(shopDomain);
+  if (client) {
+    clients.delete(shopDomain);
+  } else {
+    client = createAdminGraphqlClient({
+      endpoint: adminEndpoint(shopDomain),
+      shop: shopDomain,
+      getAccessToken: () => getAccessToken(shopDomain),
+      maxRetries: Number(process.env.ADMIN_API_MAX_RETRIES ?? 4),
+    });
+  }
+  clients.set(shopDomain, client);
+  for (const shop of clients.keys()) {
+    if (clients.size <= MAX_CLIENTS) break;
+    clients.delete(shop);
+  }
+  return client;
+}
+
+registry.gauge('coa_shopify_throttle_available_points', 'Query cost points available in each shop\'s bucket, as last reported by Shopify.', {
+  collect: set => clients.forEach((client, shop) => {
+    const status = client.throttleStatus();
+    if (status) set({ shop }, status.currentlyAvailable);
+  }),
+});
+
+// Helper: Run an Admin GraphQL query for a shop and return its data.
+// Throttling and transient failures are retried; what's left is thrown as an AdminApiError.
+export async function shopifyGraphql(shopDomain, query, variables = {}) {
+  if (!shopDomain) {
+    throw new Error('SHOPIFY_SHOP domain not provided');
+  }
+  if (!isValidShopDomain(shopDomain)) {
+    throw new HttpError(400, 'Invalid shop domain');
+  }
+  return adminClient(shopDomain)(query, variables);
+}
@@ -0,0 +1,108 @@
+import { HttpError } from './errors.js';
+
+export const DEFAULT_SORT = { key: 'updated_at', direction: 'desc' };
+
+// Parse sort=<key>[:asc|desc], e.g. sort=best_by_date or sort=date:desc.
+// Any sortable output key of the type is accepted, plus updated_at.
+export function parseSortParam(value, definition) {
+  if (value === undefined || value === '') return DEFAULT_SORT;
+
+  const keys = ['updated_at', ...definition.sortable];
+  const [key, direction = 'asc'] = String(value).split(':');
+  if (!keys.includes(key)) {
+    throw new HttpError(400, `sort must be one of ${keys.join(', ')}`);
+  }
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new HttpError(400, 'sort direction must be asc or desc');
+  }
+  return { key, direction };
+}
+
+// updated_at is the only sort Shopify can page natively with its own cursors
+export function isNativeSort(sort) {
+  return sort.key === 'updated_at';
+}
+
+const collator = new Intl.Collator('en', { sensitivity: 'base', numeric: true });
+
+function compareIds(a, b) {
+  const numA = Number(String(a).split('/').pop());
+  const numB = Number(String(b).split('/').pop());
+  if (Number.isFinite(numA) && Number.isFinite(numB)) return numA - numB;
+  return String(a).localeCompare(String(b));
+}
+
+// Compare [value, id] tuples: missing values sort last in either direction,
+// and the metaobject id breaks ties so the order (and cursors) stay stable.
+function compareTuples([valueA, idA], [valueB, idB], direction) {
+  const emptyA = valueA === undefined || valueA === null || valueA === '';
+  const emptyB = valueB === undefined || valueB === null || valueB === '';
+  if (emptyA !== emptyB) return emptyA ? 1 : -1;
+  if (!emptyA) {
+    const result = collator.compare(String(valueA), String(valueB));
+    if (result !== 0) return direction === 'desc' ? -result : result;
+  }
+  return compareIds(idA, idB);
+}
+
+function sortTuple(item, sort) {
+  return [item[sort.key], item.id];
+}
+
+export function encodeCursor(item, sort) {
+  return Buffer.from(JSON.stringify([sort.key, ...sortTuple(item, sort)])).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (decoded[0] !== sort.key) {
+    throw new HttpError(400, 'Cursor was created with a different sort');
+  }
+  return decoded.slice(1);
+}
+
+// Sort items and cut one page out of them, using keyset cursors built from the sort value and id
+export function paginateSorted(items, sort, { pageSize, after, before, page }) {
+  const sorted = [...items].sort((a, b) => compareTuples(sortTuple(a, sort), sortTuple(b, sort), sort.direction));
+  const compareToKey = (item, key) => compareTuples(sortTuple(item, sort), key, sort.direction);
+
+  let start = 0;
+  let end;
+  if (after) {
+    const key = decodeCursor(after, sort);
+    start = sorted.findIndex(item => compareToKey(item, key) > 0);
+    if (start === -1) start = sorted.length;
+    end = start + pageSize;
+  } else if (before) {
+    const key = decodeCursor(before, sort);
+    end = sorted.findIndex(item => compareToKey(item, key) >= 0);
+    if (end === -1) end = sorted.length;
+    start = Math.max(0, end - pageSize);
+  } else {
+    start = ((page || 1) - 1) * pageSize;
+    if (page > 1 && start >= sorted.length) {
+      throw new HttpError(404, `Page ${page} is out of range`);
+    }
+    end = start + pageSize;
+  }
+
+  const pageItems = sorted.slice(start, end);
+  return {
+    items: pageItems,
+    pageInfo: {
+      hasNextPage: start + pageItems.length < sorted.length,
+      hasPreviousPage: start > 0,
+      startCursor: pageItems.length ? encodeCursor(pageItems[0], sort) : null,
+      endCursor: pageItems.length ? encodeCursor(pageItems[pageItems.length - 1], sort) : null,
+    },
+    totalCount: sorted.length,
+  };
+}
@@ -0,0 +1,7 @@
+-- CreateTable
+CREATE TABLE "CacheEntry" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" TEXT NOT NULL,
+    "etag" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL
+);
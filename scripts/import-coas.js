@@ -0,0 +1,88 @@
+// Bulk import certificates of analysis from a CSV and a folder of PDFs.
+//
+//   node scripts/import-coas.js --csv results.csv [--pdfs ./pdfs] [--shop x.myshopify.com]
+//                               [--dry-run] [--report report.csv] [--batch-size 10] [--pause 1000]
+//
+// Uses the shop's stored offline token (or SHOPIFY_ACCESS_TOKEN), like server.js.
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadMetaobjectConfig, COA_TYPE } from '../lib/metaobject-config.js';
+import { shopifyGraphql } from '../lib/shopify-admin.js';
+import { fetchAllEntries } from '../lib/coa-entries.js';
+import { readImportRows, planImport, runImport, summarizeImport, importReportCsv } from '../lib/coa-import.js';
+
+dotenv.config();
+
+const { values: options } = parseArgs({
+  options: {
+    csv: { type: 'string' },
+    pdfs: { type: 'string' },
+    shop: { type: 'string', default: process.env.SHOPIFY_SHOP },
+    'dry-run': { type: 'boolean', default: false },
+    report: { type: 'string' },
+    'batch-size': { type: 'string', default: '10' },
+    pause: { type: 'string', default: '1000' },
+  },
+});
+
+if (!options.csv || !options.shop) {
+  console.error('Usage: node scripts/import-coas.js --csv <file> [--pdfs <dir>] [--shop <shop>] [--dry-run] [--report <file>]');
+  process.exit(2);
+}
+
+// PDFs in the folder (default: the CSV's folder), opened only when a row is imported
+async function listPdfs(dir) {
+  const names = (await fs.readdir(dir)).filter(name => /\.pdf$/i.test(name));
+  return Promise.all(names.map(async name => {
+    const filePath = path.join(dir, name);
+    const { size } = await fs.stat(filePath);
+    return {
+      name,
+      size,
+      type: 'application/pdf',
+      open: async () => new File([await fs.readFile(filePath)], name, { type: 'application/pdf' }),
+    };
+  }));
+}
+
+const configPath = process.env.METAOBJECT_CONFIG
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'metaobjects.config.json');
+const definition = loadMetaobjectConfig(configPath).definition(options.shop, COA_TYPE);
+const graphql = (query, variables) => shopifyGraphql(options.shop, query, variables);
+
+const { rows, error } = readImportRows(await fs.readFile(options.csv, 'utf8'), definition);
+if (error) {
+  console.error(error);
+  process.exit(1);
+}
+
+const pdfs = await listPdfs(options.pdfs || path.dirname(options.csv));
+const existing = await fetchAllEntries(graphql, definition);
+console.log(`Read ${rows.length} rows and ${pdfs.length} PDFs; ${existing.length} certificates exist on ${options.shop}`);
+
+const plan = planImport(rows, { existing, pdfs });
+const results = await runImport(plan, {
+  graphql,
+  definition,
+  dryRun: options['dry-run'],
+  batchSize: Math.max(1, Number(options['batch-size']) || 10),
+  pauseMs: Math.max(0, Number(options.pause) || 0),
+  onProgress: ({ done, total }) => console.log(`Imported ${done}/${total}`),
+});
+
+results.filter(result => result.status === 'failed').forEach(result => {
+  console.log(`Line ${result.line} (${result.batch_number || 'no batch'}): ${result.message}`);
+});
+const summary = summarizeImport(results);
+console.log(options['dry-run']
+  ? `Dry run: ${summary.valid} rows ready (${plan.filter(row => !row.errors.length && row.action === 'create').length} new), ${summary.failed} with errors`
+  : `Created ${summary.created}, updated ${summary.updated}, failed ${summary.failed}`);
+
+if (options.report) {
+  await fs.writeFile(options.report, importReportCsv(results));
+  console.log(`Report written to ${options.report}`);
+}
+process.exit(summary.failed ? 1 : 0);
@@ -0,0 +1,54 @@
+// Run the app offline against the mock Shopify Admin API (lib/mock-admin.js).
+//
+//   node scripts/mock-shopify.js [--port 3000] [--mock-port 3001] [--fixture fixtures/mock-shop.json]
+//                                [--restore-rate 100] [--bulk-delay 0]
+//
+// Serves server.js on --port with every Admin API call sent to the mock, and prints signed
+// app proxy URLs to try. Inject failures with POST <mock>/mock/failures, for example
+// {"status": 503, "count": 2} or {"throttle": true}, or empty the cost bucket with POST <mock>/mock/drain.
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { startMockAdmin, loadMockFixture, DEFAULT_FIXTURE } from '../lib/mock-admin.js';
+import { signedProxyQuery } from '../lib/app-proxy.js';
+
+dotenv.config();
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '3000' },
+    'mock-port': { type: 'string', default: process.env.MOCK_SHOPIFY_PORT || '3001' },
+    fixture: { type: 'string' },
+    'restore-rate': { type: 'string', default: '100' },
+    'bulk-delay': { type: 'string', default: '0' },
+  },
+});
+
+const fixture = loadMockFixture(options.fixture || DEFAULT_FIXTURE);
+const mock = await startMockAdmin({
+  port: Number(options['mock-port']),
+  fixture,
+  restoreRate: Number(options['restore-rate']),
+  bulkDelayMs: Number(options['bulk-delay']),
+});
+
+const shop = fixture.shop.domain || 'mock-shop.myshopify.com';
+process.env.MOCK_SHOPIFY_URL = mock.url;
+process.env.SHOPIFY_SHOP ||= shop;
+process.env.SHOPIFY_API_SECRET ||= 'mock-secret';
+
+const { default: app } = await import('../server.js');
+app.listen(Number(options.port), () => {
+  const base = `http://localhost:${options.port}`;
+  const sign = (params, signOptions = {}) => signedProxyQuery(params, { secret: process.env.SHOPIFY_API_SECRET, shop, ...signOptions });
+  const [first] = fixture.metaobjects;
+
+  console.log(`Mock Admin API: ${mock.url} (${fixture.metaobjects.length} metaobjects)`);
+  console.log(`App:            ${base}`);
+  console.log('\nSigned app proxy requests (valid for APP_PROXY_MAX_AGE seconds):');
+  console.log(`  ${base}/coas?${sign({ format: 'json', pageSize: '20' })}`);
+  console.log(`  ${base}/coas?${sign({ format: 'liquid' })}`);
+  if (first) {
+    console.log(`  ${base}/coas/batch/${encodeURIComponent(first.fields.batch_number)}?${sign({ format: 'json' })}`);
+  }
+  console.log('\nMore with: node scripts/proxy-url.js /coas --param q=gummy');
+});
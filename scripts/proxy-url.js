@@ -0,0 +1,45 @@
+// Print a signed app proxy URL, as Shopify would forward it to the app.
+//
+//   node scripts/proxy-url.js <path> [--param key=value ...] [--customer <id>] [--shop <shop>]
+//                             [--base http://localhost:3000] [--prefix /apps/coas]
+//
+// For example: node scripts/proxy-url.js /coas/product/calm-tincture --param format=json
+// Signs with SHOPIFY_API_SECRET; the signature is valid for APP_PROXY_MAX_AGE seconds.
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { signedProxyQuery } from '../lib/app-proxy.js';
+
+dotenv.config();
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    param: { type: 'string', multiple: true, default: [] },
+    customer: { type: 'string', default: '' },
+    shop: { type: 'string', default: process.env.SHOPIFY_SHOP },
+    base: { type: 'string', default: `http://localhost:${process.env.PORT || 3000}` },
+    prefix: { type: 'string', default: '/apps/coas' },
+  },
+});
+
+const [pathname] = positionals;
+const secret = process.env.SHOPIFY_API_SECRET;
+if (!pathname || !options.shop || !secret) {
+  console.error('Usage: node scripts/proxy-url.js <path> [--param key=value] [--customer <id>] [--shop <shop>]');
+  console.error('Needs SHOPIFY_API_SECRET, and SHOPIFY_SHOP or --shop.');
+  process.exit(2);
+}
+
+const params = {};
+for (const param of options.param) {
+  const [key, ...value] = param.split('=');
+  params[key] = params[key] === undefined ? value.join('=') : [].concat(params[key], value.join('='));
+}
+
+const query = signedProxyQuery(params, {
+  secret,
+  shop: options.shop,
+  pathPrefix: options.prefix,
+  customerId: options.customer,
+});
+console.log(`${options.base.replace(/\/$/, '')}${pathname}?${query}`);
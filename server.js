@@ -3,6 +3,40 @@ import fetch from 'node-fetch';
 import cors from 'cors';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { HttpError } from './lib/errors.js';
+import { parsePaginationParams } from './lib/pagination.js';
+import { parseFilterParams, matchesFilters } from './lib/filters.js';
+import { parseSortParam } from './lib/sorting.js';
+import { createCache, createMemoryStore, createPrismaStore } from './lib/cache.js';
+import { loadMetaobjectConfig, COA_TYPE } from './lib/metaobject-config.js';
+import {
+  fetchMetaobjectPage,
+  fetchMetaobjectById,
+  iterateMatchingMetaobjects,
+  findMetaobjectByField,
+  fetchAllMetaobjects,
+  normalizeLookupValue,
+} from './lib/metaobjects.js';
+import { getAccessToken, shopifyGraphql } from './lib/shopify-admin.js';
+import { getPrisma } from './lib/db.js';
+import { storeOfflineToken, deleteShopSessions } from './lib/sessions.js';
+import { isValidShopDomain, createOAuthState, clearOAuthStateCookie, verifyOAuthState, verifyOAuthHmac } from './lib/oauth.js';
+import { renderMessagePage } from './lib/html.js';
+import { safeEqual } from './lib/hmac.js';
+import { canSeeRestricted, isRestrictedRecord, hiddenKeys, publicFilters, withoutRestrictedFields } from './lib/access.js';
+import { wantsLiquid, renderListing, renderMessage, renderDetail } from './lib/liquid.js';
+import { EXPORT_FORMATS, isExportFormat, streamExport } from './lib/export.js';
+import { qrPng, qrSvg, labelSheetPdf, LABEL_PAGE_SIZES } from './lib/qr.js';
+import { today } from './lib/expiry.js';
+import { fetchAllEntries, entryAdminUrl } from './lib/coa-entries.js';
+import { auditEntries, countFindings } from './lib/audit.js';
+import { parseProductId, productMatchFilter } from './lib/products.js';
+import { bulkOperationFinished } from './lib/bulk-operations.js';
+import { appProxySignature } from './lib/app-proxy.js';
+import { startMockAdmin } from './lib/mock-admin.js';
+import { logger, requestLogger } from './lib/logger.js';
+import { registry, CONTENT_TYPE as METRICS_CONTENT_TYPE, requestMetrics, recordSignatureFailure, recordCacheLookup } from './lib/metrics.js';
 
 dotenv.config();
 
@@ -13,115 +47,282 @@ const {
   SHOPIFY_SHOP,
   SHOPIFY_API_KEY,
   SHOPIFY_API_SECRET,
-  SHOPIFY_ACCESS_TOKEN,
-  SHOPIFY_SCOPES = 'read_metaobjects,read_products,read_files,write_app_proxy',
+  SHOPIFY_SCOPES = 'read_metaobjects,write_metaobjects,read_products,read_files,write_files,write_app_proxy',
   SHOPIFY_REDIRECT_URI,
+  COA_CACHE_TTL = '300',
+  COA_CACHE_STORE = 'memory',
+  APP_PROXY_MAX_AGE = '300',
+  LIQUID_TEMPLATE_DIR,
+  APP_API_TOKEN,
+  METRICS_TOKEN,
+  CONTACT_URL = '/pages/contact',
+  STOREFRONT_URL,
+  APP_PROXY_PATH = '/apps/coas',
+  MOCK_SHOPIFY,
+  MOCK_SHOPIFY_PORT,
+  METAOBJECT_CONFIG = fileURLToPath(new URL('./metaobjects.config.json', import.meta.url)),
   NODE_ENV = 'development'
 } = process.env;
 
-const API_VERSION = '2025-10';
+// MOCK_SHOPIFY=1 serves every Admin API call from the fixture-backed mock (lib/mock-admin.js),
+// started here unless MOCK_SHOPIFY_URL already points at a running one
+if (['1', 'true'].includes(MOCK_SHOPIFY) && !process.env.MOCK_SHOPIFY_URL) {
+  const mock = await startMockAdmin({ port: Number(MOCK_SHOPIFY_PORT) || 0 });
+  mock.server.unref();
+  process.env.MOCK_SHOPIFY_URL = mock.url;
+  logger.info('Using the mock Shopify Admin API', { url: mock.url });
+}
+
+// Metaobject types and field mappings exposed per shop
+const metaobjectConfig = loadMetaobjectConfig(METAOBJECT_CONFIG);
+
+// Cache for COA listings; COA_CACHE_STORE=prisma shares it between instances through the database
+const cache = createCache({
+  store: COA_CACHE_STORE === 'prisma'
+    ? createPrismaStore(await getPrisma())
+    : createMemoryStore(),
+  ttlSeconds: Number(COA_CACHE_TTL) || 0,
+});
 
 // Health check
 app.get('/health', async (req, res) => {
+  let hasAccessToken = false;
+  try {
+    hasAccessToken = !!(SHOPIFY_SHOP && await getAccessToken(SHOPIFY_SHOP));
+  } catch (err) {
+    logger.debug('No access token for health check', { err: err.message });
+  }
   res.json({
     status: 'OK',
     shop: SHOPIFY_SHOP || 'MISSING',
-    hasAccessToken: !!SHOPIFY_ACCESS_TOKEN,
+    hasAccessToken,
     hasApiSecret: !!SHOPIFY_API_SECRET,
     environment: NODE_ENV
   });
 });
 
-// Helper: Get access token (for custom app, use single token from env)
-function getAccessToken(shop) {
-  if (!shop) throw new Error('No shop provided');
-  if (!SHOPIFY_ACCESS_TOKEN) {
-    throw new Error('SHOPIFY_ACCESS_TOKEN is not set. Please set it in your environment variables.');
+// Helper: Parse the pagination, filter and sort params shared by the listing routes
+function parseListingParams(query, definition) {
+  return {
+    pagination: parsePaginationParams(query),
+    filters: parseFilterParams(query, definition),
+    sort: parseSortParam(query.sort, definition),
+  };
+}
+
+// Helper: Send one cached page of a configured metaobject type, as JSON or rendered Liquid.
+// customerId is the app proxy's logged_in_customer_id; restricted content is left out without it.
+// storefront marks app proxy requests, which leave out expired records when expiry.hideExpired is set.
+// productHandle (or ?product_id=) narrows the listing to one product's records.
+async function sendMetaobjectPage(req, res, shopDomain, type, { customerId = null, liquid = false, storefront = false, productHandle = null } = {}) {
+  const definition = metaobjectConfig.definition(shopDomain, type);
+  const { pagination, filters, sort } = parseListingParams(req.query, definition);
+  const productId = parseProductId(req.query.product_id);
+  if (productId || productHandle) {
+    filters.product_match = await productMatchFilter(shopDomain, definition, { id: productId, handle: productHandle });
+  }
+
+  const fullAccess = await canSeeRestricted(shopDomain, customerId, definition);
+  if (definition.restricted?.type && !fullAccess) {
+    throw customerId
+      ? new HttpError(403, 'This content is not available for your account')
+      : new HttpError(401, 'Log in to see this content');
+  }
+
+  // Sorted pages and their cursors would give a hidden field's values away
+  if (!fullAccess && hiddenKeys(definition).includes(sort.key)) {
+    throw new HttpError(400, `Sorting by ${sort.key} needs a logged-in customer`);
+  }
+  let pageFilters = fullAccess ? filters : publicFilters(filters, definition);
+  if (storefront && definition.expiry?.hideExpired) {
+    pageFilters = { ...pageFilters, hide_expired: true };
   }
-  return SHOPIFY_ACCESS_TOKEN;
+  const key = cache.key(shopDomain, { type, pagination, filters: pageFilters, sort, fullAccess });
+  await sendCached(req, res, key, async () => {
+    let result = await fetchMetaobjectPage(shopDomain, definition, pagination, pageFilters, sort);
+    // With the cache on, the count comes from the type's cached crawl when the page walk couldn't tell
+    if (result.totalCount === null && cache.ttlSeconds) {
+      const all = await getAllMetaobjects(shopDomain, definition);
+      result = { ...result, totalCount: all.filter(item => matchesFilters(item, pageFilters, definition)).length };
+    }
+    if (filters.product_match) {
+      result = { ...result, product: filters.product_match.product };
+    }
+    return fullAccess ? result : withoutRestrictedFields(result, definition);
+  }, {
+    isPrivate: !!definition.restricted,
+    render: liquid && (result => renderListing(req, { definition, result, templateDir: LIQUID_TEMPLATE_DIR })),
+  });
 }
 
-// Fetch all COAs with pagination
-async function fetchAllCOAs(shopDomain) {
-  const accessToken = getAccessToken(shopDomain);
-  if (!shopDomain) {
-    throw new Error('SHOPIFY_SHOP domain not provided');
-  }
-  console.log('fetchAllCOAs called with shop:', shopDomain, 'token exists:', !!accessToken);
-  const allCOAs = [];
-  let after = null;
-
-  do {
-    const query = `
-      query {
-        metaobjects(type: "certificates_of_analysis", first: 50${after ? `, after: "${after}"` : ''}, sortKey: "updated_at", reverse: true) {
-          edges {
-            node {
-              id
-              date: field(key: "date") { value }
-              product_name: field(key: "product_name") { value }
-              product_type: field(key: "product_type") { value }
-              batch_number: field(key: "batch_number") { value }
-              pdf_link: field(key: "pdf_link") { value }
-              best_by_date: field(key: "best_by_date") { value }
-            }
-            cursor
-          }
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-        }
-      }
-    `;
+// Helper: Serve a cached response, loading and storing it on a miss.
+// isPrivate keeps shared caches from storing responses that depend on the logged-in customer.
+// render turns the cached value into Liquid; otherwise it is sent as JSON.
+async function sendCached(req, res, key, load, { isPrivate = false, render = null } = {}) {
+  let entry = await cache.get(key);
+  res.set('X-Cache', entry ? 'HIT' : 'MISS');
+  recordCacheLookup(!!entry);
+  if (!entry) {
+    entry = await cache.set(key, await load());
+  }
 
-    const response = await fetch(`https://${shopDomain}/admin/api/${API_VERSION}/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken,
-      },
-      body: JSON.stringify({ query }),
-    });
+  const maxAge = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+  res.set('Cache-Control', cache.ttlSeconds ? `${isPrivate ? 'private' : 'public'}, max-age=${maxAge}` : 'no-store');
+  res.set('ETag', render ? entry.etag.replace(/"$/, '-liquid"') : entry.etag);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  if (render) {
+    return res.type('application/liquid').send(render(entry.value));
+  }
+  res.json(entry.value);
+}
 
-    console.log('GraphQL response status:', response.status);
+// Type crawls in flight, so concurrent misses share one crawl
+const typeCrawls = new Map();
+
+// Helper: Every record of a type, most recently updated first, from one crawl cached like the listings.
+// Only used with the cache on, so listing counts and made-up batch numbers can't make each request crawl the catalog.
+async function getAllMetaobjects(shopDomain, definition) {
+  const key = cache.key(shopDomain, { type: definition.type, all: true });
+  const cached = await cache.get(key);
+  recordCacheLookup(!!cached);
+  if (cached) return cached.value;
+
+  if (!typeCrawls.has(key)) {
+    typeCrawls.set(key, fetchAllMetaobjects(shopDomain, definition, { bulk: false })
+      .then(async items => (await cache.set(key, items)).value)
+      .finally(() => typeCrawls.delete(key)));
+  }
+  return typeCrawls.get(key);
+}
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error('Full GraphQL response body:', text);
-      throw new Error(`HTTP ${response.status}: ${text}`);
-    }
+// Helper: Look up the COA for a batch number, cached per shop and normalized batch number.
+// Shopify's search finds most; the type's cached crawl catches spellings the search doesn't match.
+async function findCOAByBatch(shopDomain, batchNumber) {
+  const definition = metaobjectConfig.definition(shopDomain, COA_TYPE);
+  const normalized = normalizeLookupValue(batchNumber);
+  const key = cache.key(shopDomain, { type: COA_TYPE, batch: normalized });
+  const cached = await cache.get(key);
+  recordCacheLookup(!!cached);
+  if (cached) {
+    return { definition, item: cached.value.item };
+  }
+  let item = await findMetaobjectByField(shopDomain, definition, 'batch_number', batchNumber);
+  if (!item && cache.ttlSeconds) {
+    const all = await getAllMetaobjects(shopDomain, definition);
+    item = all.find(candidate => normalizeLookupValue(candidate.batch_number) === normalized) || null;
+  }
+  await cache.set(key, { item });
+  return { definition, item };
+}
 
-    const { data, errors } = await response.json();
+// Helper: Send the COA for a batch number. Browsers are redirected to its PDF,
+// format=liquid renders it as a page, and JSON clients get { item }.
+async function sendBatchLookup(req, res, shopDomain, { customerId = null, liquid = false, storefront = false } = {}) {
+  const { batchNumber } = req.params;
+  const { definition, item: found } = await findCOAByBatch(shopDomain, batchNumber);
+
+  const fullAccess = await canSeeRestricted(shopDomain, customerId, definition);
+  if (found && !fullAccess && (definition.restricted?.type || isRestrictedRecord(found, definition))) {
+    throw customerId
+      ? new HttpError(403, 'This certificate is not available for your account')
+      : new HttpError(401, 'Log in to see this certificate');
+  }
+  const item = found && (fullAccess ? found : withoutRestrictedFields({ items: [found] }, definition).items[0]);
+  if (definition.restricted) {
+    res.set('Cache-Control', 'private, no-cache');
+  }
+
+  if (!item) {
+    if (!liquid) {
+      return res.status(404).json({ error: `No certificate found for batch ${batchNumber}` });
+    }
+    return res.status(404).type('application/liquid').send(renderMessage({
+      title: 'Certificate not found',
+      message: `We couldn't find a certificate for batch ${batchNumber}. Check the number on the label, or contact us and we'll send it to you.`,
+      link: { href: CONTACT_URL, text: 'Contact us' },
+      templateDir: LIQUID_TEMPLATE_DIR,
+    }));
+  }
 
-    if (errors) {
-      console.error('GraphQL errors:', JSON.stringify(errors, null, 2));
-      throw new Error(`GraphQL query failed: ${errors[0]?.message || 'Unknown error'}`);
+  if (storefront && definition.expiry?.hideExpired && item.expiry_status === 'expired') {
+    const message = `The certificate for batch ${item.batch_number} is past its best-by date of ${item[definition.expiry.field]}.`;
+    if (!liquid) {
+      return res.status(410).json({ error: message });
     }
+    return res.status(410).type('application/liquid').send(renderMessage({
+      title: 'Certificate expired',
+      message: `${message} Contact us if you need a copy.`,
+      link: { href: CONTACT_URL, text: 'Contact us' },
+      templateDir: LIQUID_TEMPLATE_DIR,
+    }));
+  }
 
-    const edges = data.metaobjects?.edges || [];
-    edges.forEach(edge => {
-      const coa = {
-        id: edge.node.id,
-        date: edge.node.date?.value,
-        product: edge.node.product_name?.value,
-        product_type: edge.node.product_type?.value || '',
-        batch_number: edge.node.batch_number?.value,
-        pdf_link: edge.node.pdf_link?.value,
-        best_by_date: edge.node.best_by_date?.value,
-      };
-      if (coa.date && coa.product) {
-        allCOAs.push(coa);
+  if (!liquid) {
+    return res.json({ item });
+  }
+  if (req.query.format !== 'liquid' && /^https?:\/\//.test(item.pdf_link || '')) {
+    return res.redirect(302, item.pdf_link);
+  }
+  res.type('application/liquid').send(renderDetail({
+    definition,
+    item,
+    title: `Certificate for batch ${item.batch_number}`,
+    templateDir: LIQUID_TEMPLATE_DIR,
+  }));
+}
+
+// Helper: Storefront origin QR codes point at: STOREFRONT_URL, else the shop's primary domain
+const storefrontOrigins = new Map();
+async function getStorefrontOrigin(shopDomain) {
+  if (STOREFRONT_URL) return STOREFRONT_URL.replace(/\/$/, '');
+  if (!storefrontOrigins.has(shopDomain)) {
+    const data = await shopifyGraphql(shopDomain, `
+      query StorefrontOrigin {
+        shop { primaryDomain { url } }
       }
-    });
+    `);
+    storefrontOrigins.set(shopDomain, data.shop.primaryDomain.url.replace(/\/$/, ''));
+  }
+  return storefrontOrigins.get(shopDomain);
+}
+
+// Helper: Storefront URL of the batch lookup page for a batch number
+function batchLookupUrl(origin, batchNumber) {
+  return `${origin}${APP_PROXY_PATH}/batch/${encodeURIComponent(batchNumber.trim())}`;
+}
+
+// Helper: Send a QR code for a storefront URL as PNG or SVG
+async function sendQrCode(res, url, format, { width } = {}) {
+  if (format === 'svg') {
+    return res.type('image/svg+xml').send(await qrSvg(url));
+  }
+  if (format === 'png') {
+    return res.type('image/png').send(await qrPng(url, { width }));
+  }
+  throw new HttpError(400, 'format must be png or svg');
+}
 
-    after = data.metaobjects?.pageInfo?.hasNextPage
-      ? data.metaobjects.pageInfo.endCursor
-      : null;
-  } while (after);
+// Helper: Parse the ?width= of a PNG QR code
+function parseQrWidth(value) {
+  if (value === undefined) return 512;
+  const width = Number(value);
+  if (!Number.isInteger(width) || width < 64 || width > 4096) {
+    throw new HttpError(400, 'width must be an integer between 64 and 4096');
+  }
+  return width;
+}
 
-  console.log(`Fetched ${allCOAs.length} COAs for ${shopDomain}`);
-  return allCOAs;
+// Helper: Render a route error as a Liquid message for proxy pages
+function sendLiquidError(res, err) {
+  const status = err instanceof HttpError ? err.status : 500;
+  res.status(status).type('application/liquid').send(renderMessage({
+    title: status >= 500 ? 'Something went wrong' : 'Not available',
+    message: status >= 500 ? 'This list could not be loaded. Please try again later.' : err.message,
+    link: status === 401 ? { href: '/account/login', text: 'Log in' } : null,
+    templateDir: LIQUID_TEMPLATE_DIR,
+  }));
 }
 
 // App proxy verification (query param-based)
@@ -129,40 +330,95 @@ function verifyAppProxy(req, res, next) {
   const signature = req.query.signature;
 
   if (!signature) {
-    console.log('Missing proxy signature param');
+    logger.warn('Missing app proxy signature', { shop: req.query.shop });
+    recordSignatureFailure('app_proxy', 'missing');
     return res.status(401).json({ error: 'Missing signature' });
   }
-  // Copy query, remove signature
   const query = { ...req.query };
   delete query.signature;
-  // Sort keys, join as key=value (arrays comma-joined)
-  const sortedParams = Object.keys(query)
-    .sort()
-    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
-    .join('');
-  console.log('Params to hash:', sortedParams);
-  // Hash with secret (hex, not base64)
-  const calculatedSignature = crypto
-    .createHmac('sha256', SHOPIFY_API_SECRET)
-    .update(sortedParams)
-    .digest('hex');
-  console.log('Calculated sig:', calculatedSignature, 'vs Received:', signature);
-  // Secure compare
-  const isValid = crypto.timingSafeEqual(
-    Buffer.from(calculatedSignature),
-    Buffer.from(signature)
-  );
-  if (!isValid) {
-    console.log('Invalid proxy signature');
+  const calculatedSignature = appProxySignature(query, SHOPIFY_API_SECRET);
+  // Secure compare (false on length mismatch)
+  if (!safeEqual(calculatedSignature, signature)) {
+    logger.warn('Invalid app proxy signature', { shop: req.query.shop });
+    recordSignatureFailure('app_proxy', 'invalid');
     return res.status(401).json({ error: 'Invalid signature' });
   }
 
-  console.log('Proxy signature verification passed');
+  // Replay protection: the signed timestamp must be recent
+  const maxAge = Number(APP_PROXY_MAX_AGE) || 0;
+  if (maxAge) {
+    const timestamp = Number(query.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > maxAge) {
+      logger.warn('Expired app proxy signature', { shop: req.query.shop, timestamp: query.timestamp });
+      recordSignatureFailure('app_proxy', 'expired');
+      return res.status(401).json({ error: 'Expired signature' });
+    }
+  }
+  next();
+}
+
+// API token check for admin-only routes: Authorization: Bearer <APP_API_TOKEN>
+function requireApiToken(req, res, next) {
+  if (!APP_API_TOKEN) {
+    return res.status(503).json({ error: 'APP_API_TOKEN is not configured' });
+  }
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!safeEqual(token, APP_API_TOKEN)) {
+    logger.warn('Invalid API token');
+    return res.status(401).json({ error: 'Invalid API token' });
+  }
+  next();
+}
+
+// Token check for /metrics: Authorization: Bearer <METRICS_TOKEN>, or APP_API_TOKEN when that isn't set
+function requireMetricsToken(req, res, next) {
+  const expected = METRICS_TOKEN || APP_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'METRICS_TOKEN is not configured' });
+  }
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!safeEqual(token, expected)) {
+    logger.warn('Invalid metrics token');
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  next();
+}
+
+// Webhook verification (HMAC of the raw body, base64)
+function verifyWebhook(req, res, next) {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+
+  if (!hmac || !req.rawBody) {
+    logger.warn('Missing webhook HMAC or body', { topic: req.get('X-Shopify-Topic') });
+    recordSignatureFailure('webhook', 'missing');
+    return res.status(401).json({ error: 'Missing HMAC' });
+  }
+  const calculatedHmac = crypto
+    .createHmac('sha256', SHOPIFY_API_SECRET)
+    .update(req.rawBody)
+    .digest('base64');
+  if (!safeEqual(calculatedHmac, hmac)) {
+    logger.warn('Invalid webhook HMAC', { topic: req.get('X-Shopify-Topic') });
+    recordSignatureFailure('webhook', 'invalid');
+    return res.status(401).json({ error: 'Invalid HMAC' });
+  }
+
   next();
 }
 
 // Middleware
-app.use(express.json());
+// Keep the raw body around for webhook HMAC verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+// Request ids and one log line per request; after the body parser so the request context survives it
+app.use(requestLogger());
+// Request counts and latency for /metrics
+app.use(requestMetrics());
 app.use(cors({
   origin: [
     'https://8th-wonder-development.myshopify.com',
@@ -174,32 +430,63 @@ app.use(cors({
   credentials: true
 }));
 
+// Helper: Send an HTML error page for the install flow
+function sendErrorPage(res, status, title, message) {
+  res.status(status).send(renderMessagePage({ title, message }));
+}
+
 // Routes
 app.get('/', (req, res) => {
   const shop = req.query.shop || SHOPIFY_SHOP;
   if (!shop) {
-    return res.status(400).send('Missing shop parameter');
+    return sendErrorPage(res, 400, 'Missing shop', 'Open this page with ?shop=your-store.myshopify.com to install the app.');
+  }
+  if (!isValidShopDomain(shop)) {
+    return sendErrorPage(res, 400, 'Invalid shop', 'The shop must be a your-store.myshopify.com domain.');
   }
-  const installUrl = `https://${shop}/admin/oauth/authorize?client_id=${SHOPIFY_API_KEY}&scope=${SHOPIFY_SCOPES}&redirect_uri=${SHOPIFY_REDIRECT_URI}&state=${Date.now()}&access_mode=offline`;
-  console.log('Redirecting to OAuth:', installUrl);
+  if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET) {
+    return sendErrorPage(res, 500, 'App not configured', 'SHOPIFY_API_KEY and SHOPIFY_API_SECRET must be set to install the app.');
+  }
+
+  const { nonce, cookie } = createOAuthState(SHOPIFY_API_SECRET, { secure: NODE_ENV === 'production' });
+  const params = new URLSearchParams({
+    client_id: SHOPIFY_API_KEY,
+    scope: SHOPIFY_SCOPES,
+    redirect_uri: SHOPIFY_REDIRECT_URI,
+    state: nonce,
+  });
+  const installUrl = `https://${shop}/admin/oauth/authorize?${params}`;
+  logger.info('Redirecting to OAuth', { shop });
+  res.set('Set-Cookie', cookie);
   res.redirect(installUrl);
 });
 
-// OAuth callback - displays token for manual copy
+// OAuth callback - verifies the request and stores the offline token for the shop
 app.get('/auth/callback', async (req, res) => {
-  const { shop, code } = req.query;
+  const { shop, code, state } = req.query;
 
-  if (!shop || !code) {
-    return res.status(400).send('Missing shop or code parameter');
+  if (!shop || !code || !state) {
+    return sendErrorPage(res, 400, 'Invalid install request', 'The shop, code or state parameter is missing. Start the install again from the Shopify admin.');
+  }
+  if (!isValidShopDomain(shop)) {
+    return sendErrorPage(res, 400, 'Invalid shop', 'The shop must be a your-store.myshopify.com domain.');
+  }
+  if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET) {
+    return sendErrorPage(res, 500, 'App not configured', 'SHOPIFY_API_KEY and SHOPIFY_API_SECRET must be set to install the app.');
+  }
+  if (!verifyOAuthHmac(req.query, SHOPIFY_API_SECRET)) {
+    logger.warn('Invalid OAuth callback HMAC', { shop });
+    recordSignatureFailure('oauth', 'invalid');
+    return sendErrorPage(res, 401, 'Invalid signature', 'This request was not signed by Shopify. Start the install again from the Shopify admin.');
+  }
+  if (!verifyOAuthState(state, req.headers.cookie, SHOPIFY_API_SECRET)) {
+    logger.warn('OAuth state mismatch', { shop });
+    recordSignatureFailure('oauth', 'state');
+    return sendErrorPage(res, 403, 'Install session expired', 'The install was started in another browser or took too long. Start the install again.');
   }
+  res.set('Set-Cookie', clearOAuthStateCookie());
 
   try {
-    const { SHOPIFY_API_KEY, SHOPIFY_API_SECRET } = process.env;
-
-    if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET) {
-      throw new Error('Missing SHOPIFY_API_KEY or SHOPIFY_API_SECRET in environment variables');
-    }
-
     const tokenResponse = await fetch(`https://${shop}/admin/oauth/access_token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -217,28 +504,20 @@ app.get('/auth/callback', async (req, res) => {
 
     const data = await tokenResponse.json();
 
-    if (data.access_token) {
-      res.send(`
-        <h1>✅ OAuth Success for ${shop}!</h1>
-        <h2>Copy Your Access Token:</h2>
-        <p style="background: #f0f0f0; padding: 20px; font-family: monospace; word-break: break-all; font-size: 14px;">
-          ${data.access_token}
-        </p>
-        <p><strong>Instructions:</strong></p>
-        <ol>
-          <li>Copy the entire token above</li>
-          <li>Go to Vercel → metaobject-paginator → Settings → Environment Variables</li>
-          <li>Update SHOPIFY_ACCESS_TOKEN with this token</li>
-          <li>Redeploy the app</li>
-        </ol>
-        <p><a href="/">Back to home</a></p>
-      `);
-    } else {
-      res.status(500).send(`Failed to get token: ${JSON.stringify(data)}`);
+    if (!data.access_token) {
+      throw new Error('Token response did not include an access token');
     }
+
+    await storeOfflineToken(shop, { accessToken: data.access_token, scope: data.scope });
+    await cache.invalidateShop(shop);
+    logger.info('Stored offline token', { shop });
+    res.send(renderMessagePage({
+      title: `✅ OAuth Success for ${shop}!`,
+      message: 'The access token has been saved. The app proxy and API routes now work for this shop.',
+    }));
   } catch (error) {
-    console.error('OAuth callback error:', error);
-    res.status(500).send(`OAuth error: ${error.message}`);
+    logger.error('OAuth callback error', { err: error, shop });
+    sendErrorPage(res, 502, 'Install failed', 'Shopify did not return an access token. Start the install again, and check the server logs if it keeps failing.');
   }
 });
 
@@ -246,14 +525,22 @@ app.get('/auth/callback', async (req, res) => {
 app.all('/coas', verifyAppProxy, async (req, res) => {
   try {
     const shopDomain = req.query.shop;  // From query param
-    console.log('Received /coas request from:', shopDomain);
-    const coas = await fetchAllCOAs(shopDomain);
-    console.log('Sending COAs:', coas.length);
-    res.json(coas);
-  } catch (err) {
-    console.error('Full proxy error:', err.message, err.stack, {
-      shopDomain: req.query.shop,
+    res.vary('Accept');
+    await sendMetaobjectPage(req, res, shopDomain, COA_TYPE, {
+      customerId: req.query.logged_in_customer_id,
+      liquid: wantsLiquid(req),
+      storefront: true,
     });
+  } catch (err) {
+    if (!(err instanceof HttpError)) {
+      logger.error('Proxy error', { err, shop: req.query.shop });
+    }
+    if (wantsLiquid(req)) {
+      return sendLiquidError(res, err);
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: `Failed to fetch COAs: ${err.message}` });
   }
 });
@@ -262,15 +549,392 @@ app.all('/coas', verifyAppProxy, async (req, res) => {
 app.get('/api/coas', async (req, res) => {
   try {
     const shopDomain = req.query.shop || SHOPIFY_SHOP;
-    console.log('Received /api/coas request');
-    const coas = await fetchAllCOAs(shopDomain);
-    console.log('Sending COAs:', coas.length);
-    res.json(coas);
+    await sendMetaobjectPage(req, res, shopDomain, COA_TYPE);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('API error', { err });
+    res.status(500).json({ error: `Failed to fetch COAs: ${err.message}` });
+  }
+});
+
+// App proxy route for a product's COAs, for product pages (/apps/coas/product/:handle)
+app.all('/coas/product/:handle', verifyAppProxy, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop;
+    res.vary('Accept');
+    await sendMetaobjectPage(req, res, shopDomain, COA_TYPE, {
+      customerId: req.query.logged_in_customer_id,
+      liquid: wantsLiquid(req),
+      storefront: true,
+      productHandle: req.params.handle,
+    });
+  } catch (err) {
+    if (!(err instanceof HttpError)) {
+      logger.error('Proxy error', { err, shop: req.query.shop });
+    }
+    if (wantsLiquid(req)) {
+      return sendLiquidError(res, err);
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: `Failed to fetch COAs: ${err.message}` });
+  }
+});
+
+// API route for a product's COAs (for testing, no proxy verification)
+app.get('/api/coas/product/:handle', async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    await sendMetaobjectPage(req, res, shopDomain, COA_TYPE, { productHandle: req.params.handle });
   } catch (err) {
-    console.error('API error:', err.message, err.stack);
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('API error', { err });
     res.status(500).json({ error: `Failed to fetch COAs: ${err.message}` });
   }
 });
 
+// App proxy route for packaging QR codes (/apps/coas/batch/:batchNumber)
+app.all('/coas/batch/:batchNumber', verifyAppProxy, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop;
+    res.vary('Accept');
+    await sendBatchLookup(req, res, shopDomain, {
+      customerId: req.query.logged_in_customer_id,
+      liquid: wantsLiquid(req),
+      storefront: true,
+    });
+  } catch (err) {
+    if (!(err instanceof HttpError)) {
+      logger.error('Proxy error', { err, shop: req.query.shop });
+    }
+    if (wantsLiquid(req)) {
+      return sendLiquidError(res, err);
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: `Failed to look up batch: ${err.message}` });
+  }
+});
+
+// API route for batch lookups (for testing, no proxy verification)
+app.get('/api/coas/batch/:batchNumber', async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    await sendBatchLookup(req, res, shopDomain);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('API error', { err });
+    res.status(500).json({ error: `Failed to look up batch: ${err.message}` });
+  }
+});
+
+// App proxy route for any configured metaobject type (/apps/coas/metaobjects/:type)
+app.all('/coas/metaobjects/:type', verifyAppProxy, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop;
+    res.vary('Accept');
+    await sendMetaobjectPage(req, res, shopDomain, req.params.type, {
+      customerId: req.query.logged_in_customer_id,
+      liquid: wantsLiquid(req),
+      storefront: true,
+    });
+  } catch (err) {
+    if (!(err instanceof HttpError)) {
+      logger.error('Proxy error', { err, shop: req.query.shop });
+    }
+    if (wantsLiquid(req)) {
+      return sendLiquidError(res, err);
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: `Failed to fetch metaobjects: ${err.message}` });
+  }
+});
+
+// API route for any configured metaobject type (for testing, no proxy verification)
+app.get('/api/metaobjects/:type', async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    await sendMetaobjectPage(req, res, shopDomain, req.params.type);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('API error', { err });
+    res.status(500).json({ error: `Failed to fetch metaobjects: ${err.message}` });
+  }
+});
+
+// Export route: streams every matching record as CSV, XLSX or JSON Lines, one GraphQL page at a time
+app.get('/api/export/:type', requireApiToken, async (req, res) => {
+  const shopDomain = req.query.shop || SHOPIFY_SHOP;
+  try {
+    const format = req.query.format || 'csv';
+    if (!isExportFormat(format)) {
+      throw new HttpError(400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const definition = metaobjectConfig.definition(shopDomain, req.params.type);
+    const filters = parseFilterParams(req.query, definition);
+
+    // Fetch the first page before streaming, so setup errors still get a JSON response
+    const pages = iterateMatchingMetaobjects(shopDomain, definition, filters);
+    const first = await pages.next();
+    const count = await streamExport(res, {
+      format,
+      definition,
+      filename: `${req.params.type}-${new Date().toISOString().slice(0, 10)}`,
+      pages: (async function* () {
+        if (first.done) return;
+        yield first.value;
+        yield* pages;
+      })(),
+    });
+    logger.info('Exported metaobjects', { shop: shopDomain, type: req.params.type, format, count });
+  } catch (err) {
+    if (res.headersSent) {
+      // The file is already partly sent; cut the connection so it can't pass for a complete export
+      logger.error('Export failed mid-stream', { err });
+      return res.destroy(err);
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Export error', { err });
+    res.status(500).json({ error: `Failed to export: ${err.message}` });
+  }
+});
+
+// Expiry report: COAs whose best-by date falls within ?days= (default: the type's warning window),
+// soonest first, as JSON or a CSV, XLSX or JSON Lines download
+app.get('/api/reports/expiring', requireApiToken, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    const definition = metaobjectConfig.definition(shopDomain, COA_TYPE);
+    if (!definition.expiry) {
+      throw new HttpError(404, `Expiry tracking is not configured for ${COA_TYPE}`);
+    }
+    const format = req.query.format || 'json';
+    if (format !== 'json' && !isExportFormat(format)) {
+      throw new HttpError(400, `format must be one of json, ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const days = req.query.days === undefined ? definition.expiry.warningDays : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new HttpError(400, 'days must be a whole number of days');
+    }
+    const includeExpired = ['1', 'true'].includes(req.query.include_expired);
+    const filters = parseFilterParams(req.query, definition);
+
+    const items = [];
+    for await (const page of iterateMatchingMetaobjects(shopDomain, definition, filters)) {
+      items.push(...page.filter(item => item.days_until_expiry !== null
+        && item.days_until_expiry <= days
+        && (includeExpired || item.days_until_expiry >= 0)));
+    }
+    items.sort((a, b) => a.days_until_expiry - b.days_until_expiry || String(a.batch_number ?? '').localeCompare(String(b.batch_number ?? '')));
+
+    const asOf = today();
+    if (format === 'json') {
+      res.set('Cache-Control', 'no-store');
+      return res.json({ asOf, days, items, totalCount: items.length });
+    }
+    const columns = [...definition.columns, 'expiry_status', 'days_until_expiry'];
+    await streamExport(res, {
+      format,
+      definition: {
+        ...definition,
+        columns,
+        labels: { ...definition.labels, expiry_status: 'Expiry status', days_until_expiry: 'Days until expiry' },
+        title: 'Expiring batches',
+      },
+      filename: `expiring-${asOf}`,
+      pages: [items],
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Expiry report error', { err });
+    res.status(500).json({ error: `Failed to build expiry report: ${err.message}` });
+  }
+});
+
+// Data-quality audit of every COA, including the records listings leave out.
+// ?check_links=1 also requests each PDF link.
+app.get('/api/audit', requireApiToken, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    const definition = metaobjectConfig.definition(shopDomain, COA_TYPE);
+    const checkLinks = ['1', 'true'].includes(req.query.check_links);
+
+    const entries = await fetchAllEntries((query, variables) => shopifyGraphql(shopDomain, query, variables), definition);
+    const findings = await auditEntries(entries, definition, { checkLinks });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      checkedAt: new Date().toISOString(),
+      total: entries.length,
+      counts: countFindings(findings),
+      findings: findings.map(finding => ({ ...finding, adminUrl: entryAdminUrl(shopDomain, COA_TYPE, finding.id) })),
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Audit error', { err });
+    res.status(500).json({ error: `Failed to audit COAs: ${err.message}` });
+  }
+});
+
+// QR code for a batch number, pointing at its storefront batch lookup page
+app.get('/api/qr/batch/:batchNumber.:format', requireApiToken, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    const width = parseQrWidth(req.query.width);
+    const url = batchLookupUrl(await getStorefrontOrigin(shopDomain), req.params.batchNumber);
+    await sendQrCode(res, url, req.params.format, { width });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('QR code error', { err });
+    res.status(500).json({ error: `Failed to create QR code: ${err.message}` });
+  }
+});
+
+// QR code for a COA by metaobject id, pointing at the lookup page for its batch
+app.get('/api/qr/coa/:id.:format', requireApiToken, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    const width = parseQrWidth(req.query.width);
+    const definition = metaobjectConfig.definition(shopDomain, COA_TYPE);
+    const coa = await fetchMetaobjectById(shopDomain, definition, req.params.id);
+    if (!coa?.batch_number) {
+      throw new HttpError(404, `No COA with a batch number found for id ${req.params.id}`);
+    }
+    const url = batchLookupUrl(await getStorefrontOrigin(shopDomain), coa.batch_number);
+    await sendQrCode(res, url, req.params.format, { width });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('QR code error', { err });
+    res.status(500).json({ error: `Failed to create QR code: ${err.message}` });
+  }
+});
+
+// Printable PDF sheet of QR labels, for the given ?batch= numbers or every COA matching the listing filters
+app.get('/api/qr/labels.pdf', requireApiToken, async (req, res) => {
+  try {
+    const shopDomain = req.query.shop || SHOPIFY_SHOP;
+    const paper = req.query.paper || 'letter';
+    if (!LABEL_PAGE_SIZES.includes(paper)) {
+      throw new HttpError(400, `paper must be one of ${LABEL_PAGE_SIZES.join(', ')}`);
+    }
+    const definition = metaobjectConfig.definition(shopDomain, COA_TYPE);
+
+    const coas = [];
+    const batches = [].concat(req.query.batch || []).filter(batch => batch.trim());
+    if (batches.length) {
+      for (const batchNumber of batches) {
+        const { item } = await findCOAByBatch(shopDomain, batchNumber);
+        coas.push(item || { batch_number: batchNumber.trim() });
+      }
+    } else {
+      const filters = parseFilterParams(req.query, definition);
+      for await (const items of iterateMatchingMetaobjects(shopDomain, definition, filters)) {
+        coas.push(...items.filter(coa => coa.batch_number));
+      }
+    }
+
+    // One label per batch, in batch order, so the same request prints the same sheet
+    const byBatch = new Map();
+    coas.forEach(coa => {
+      const key = normalizeLookupValue(coa.batch_number);
+      if (!byBatch.has(key)) byBatch.set(key, coa);
+    });
+    const collator = new Intl.Collator('en', { sensitivity: 'base', numeric: true });
+    const origin = await getStorefrontOrigin(shopDomain);
+    const labels = [...byBatch.values()]
+      .sort((a, b) => collator.compare(a.batch_number, b.batch_number))
+      .map(coa => ({
+        url: batchLookupUrl(origin, coa.batch_number),
+        lines: [
+          coa.product || '',
+          `Batch ${coa.batch_number}`,
+          coa.best_by_date ? `Best by ${coa.best_by_date}` : '',
+        ],
+      }));
+
+    logger.info('Generated QR labels', { shop: shopDomain, count: labels.length });
+    res.type('application/pdf');
+    res.set('Content-Disposition', 'inline; filename="coa-labels.pdf"');
+    res.send(labelSheetPdf(labels, { pageSize: paper }));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Label sheet error', { err });
+    res.status(500).json({ error: `Failed to create label sheet: ${err.message}` });
+  }
+});
+
+// Prometheus metrics for this instance: traffic, Admin API usage, crawls, cache and COA counts
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type(METRICS_CONTENT_TYPE).send(registry.render());
+});
+
+// Metaobject webhooks: drop the shop's cached listings when a configured metaobject changes
+app.post('/webhooks/metaobjects', verifyWebhook, async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+  logger.info('Received webhook', { topic, shop: shopDomain });
+
+  if (req.body?.type && !Object.hasOwn(metaobjectConfig.typesForShop(shopDomain), req.body.type)) {
+    return res.status(200).end();
+  }
+
+  try {
+    await cache.invalidateShop(shopDomain);
+    logger.info('Invalidated cached metaobjects', { shop: shopDomain });
+    res.status(200).end();
+  } catch (err) {
+    logger.error('Webhook error', { err });
+    res.status(500).json({ error: `Failed to invalidate cache: ${err.message}` });
+  }
+});
+
+// Bulk operation webhook: wake the crawl waiting on the operation instead of its next poll
+app.post('/webhooks/bulk-operations', verifyWebhook, (req, res) => {
+  logger.info('Received webhook', { topic: 'bulk_operations/finish', shop: req.get('X-Shopify-Shop-Domain'), id: req.body?.admin_graphql_api_id, status: req.body?.status });
+  bulkOperationFinished(req.body);
+  res.status(200).end();
+});
+
+// Uninstall webhook: forget the shop's tokens and cached listings
+app.post('/webhooks/app/uninstalled', verifyWebhook, async (req, res) => {
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+  logger.info('Received webhook', { topic: 'app/uninstalled', shop: shopDomain });
+
+  try {
+    // Webhooks can be delivered more than once, so deleting nothing is fine
+    await deleteShopSessions(shopDomain);
+    await cache.invalidateShop(shopDomain);
+    res.status(200).end();
+  } catch (err) {
+    logger.error('Webhook error', { err });
+    res.status(500).json({ error: `Failed to remove shop data: ${err.message}` });
+  }
+});
+
 // Export for Vercel
 export default app;
\ No newline at end of file
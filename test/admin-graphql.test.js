@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AdminApiError, backoffDelay, createAdminGraphqlClient } from '../lib/admin-graphql.js';
+
+// Keep the retry warnings out of the test output; the calls that give up still log their error
+process.env.LOG_LEVEL = 'error';
+
+const QUERY = '{ shop { name } }';
+
+function jsonResponse(body, { status = 200, headers = {} } = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+// A client whose fetch answers with the given responses in order and whose waits are recorded, not slept
+function stubClient(responses, options = {}) {
+  const calls = [];
+  const waits = [];
+  const graphql = createAdminGraphqlClient({
+    endpoint: 'https://example.myshopify.com/admin/api/graphql.json',
+    getAccessToken: async () => 'token',
+    fetch: async (url, init) => {
+      calls.push(JSON.parse(init.body));
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    },
+    baseDelayMs: 100,
+    random: () => 0,
+    wait: async ms => {
+      waits.push(ms);
+    },
+    ...options,
+  });
+  return { graphql, calls, waits };
+}
+
+const ok = (cost = null) => jsonResponse({ data: { shop: { name: 'Example' } }, extensions: cost && { cost } });
+
+test('backoffDelay doubles per attempt with half the step as jitter, up to maxDelayMs', () => {
+  assert.equal(backoffDelay(0, { baseDelayMs: 500, random: () => 0 }), 250);
+  assert.equal(backoffDelay(0, { baseDelayMs: 500, random: () => 1 }), 500);
+  assert.equal(backoffDelay(3, { baseDelayMs: 500, random: () => 0 }), 2000);
+  assert.equal(backoffDelay(10, { baseDelayMs: 500, maxDelayMs: 10000, random: () => 1 }), 10000);
+  assert.equal(backoffDelay(10, { baseDelayMs: 500, maxDelayMs: 10000, random: () => 0 }), 5000);
+});
+
+test('AdminApiError maps busy and unreachable to 503 and other failures to 502', () => {
+  assert.equal(new AdminApiError('THROTTLED', 'busy').status, 503);
+  assert.equal(new AdminApiError('NETWORK', 'down').status, 503);
+  assert.equal(new AdminApiError('HTTP', 'bad gateway', { upstreamStatus: 502 }).status, 503);
+  assert.equal(new AdminApiError('HTTP', 'not found', { upstreamStatus: 404 }).status, 502);
+  assert.equal(new AdminApiError('GRAPHQL', 'bad query').status, 502);
+});
+
+test('paces a repeated query until the bucket has refilled its cost', async () => {
+  const cost = {
+    requestedQueryCost: 100,
+    actualQueryCost: 100,
+    throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 50 },
+  };
+  const { graphql, waits } = stubClient([ok(cost), ok(cost)]);
+
+  await graphql(QUERY);
+  assert.deepEqual(waits, []);
+  await graphql(QUERY);
+  assert.equal(waits.length, 1);
+  // 100 points at 50 per second, less what refilled between the calls
+  assert.ok(waits[0] > 1900 && waits[0] <= 2000, `waited ${waits[0]}ms`);
+  assert.equal(graphql.throttleStatus().maximumAvailable, 1000);
+});
+
+test('retries a THROTTLED response after the wait for the points it asked for', async () => {
+  const throttled = jsonResponse({
+    errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+    extensions: { cost: { requestedQueryCost: 110, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 10, restoreRate: 50 } } },
+  });
+  const { graphql, calls, waits } = stubClient([throttled, ok()]);
+
+  assert.deepEqual(await graphql(QUERY), { shop: { name: 'Example' } });
+  assert.equal(calls.length, 2);
+  assert.equal(waits[0], 2000);
+});
+
+test('retries a 429 after its Retry-After', async () => {
+  const { graphql, calls, waits } = stubClient([jsonResponse({}, { status: 429, headers: { 'retry-after': '3' } }), ok()]);
+
+  assert.deepEqual(await graphql(QUERY), { shop: { name: 'Example' } });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(waits, [3000]);
+});
+
+test('retries 5xx responses and network errors with exponential backoff', async () => {
+  const { graphql, calls, waits } = stubClient([
+    jsonResponse({}, { status: 502 }),
+    new Error('socket hang up'),
+    ok(),
+  ]);
+
+  assert.deepEqual(await graphql(QUERY), { shop: { name: 'Example' } });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(waits, [50, 100]);
+});
+
+test('gives up after maxRetries with the last error', async () => {
+  const { graphql, calls } = stubClient(Array.from({ length: 3 }, () => jsonResponse({}, { status: 503 })), { maxRetries: 2 });
+
+  await assert.rejects(graphql(QUERY), err => {
+    assert.ok(err instanceof AdminApiError);
+    assert.equal(err.code, 'HTTP');
+    assert.equal(err.status, 503);
+    assert.equal(err.upstreamStatus, 503);
+    assert.equal(err.attempts, 3);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+});
+
+test('does not retry 4xx responses or GraphQL errors', async () => {
+  const notFound = stubClient([jsonResponse({}, { status: 404 })]);
+  await assert.rejects(notFound.graphql(QUERY), { name: 'AdminApiError', code: 'HTTP', status: 502, upstreamStatus: 404 });
+  assert.equal(notFound.calls.length, 1);
+
+  const invalid = stubClient([jsonResponse({ errors: [{ message: 'Field "nope" doesn\'t exist' }] })]);
+  await assert.rejects(invalid.graphql(QUERY), { name: 'AdminApiError', code: 'GRAPHQL', status: 502 });
+  assert.equal(invalid.calls.length, 1);
+  assert.deepEqual(invalid.waits, []);
+});
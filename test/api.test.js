@@ -0,0 +1,135 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockAdmin } from '../lib/mock-admin.js';
+
+// The listing routes run against the fixture-backed mock Admin API (fixtures/mock-shop.json):
+// 120 COAs, 118 of them listable, batch numbers MB-1000 to MB-1119 with MB-1119 updated last.
+
+let mock;
+let server;
+let baseUrl;
+
+before(async () => {
+  // A bucket large enough that only injected failures throttle
+  mock = await startMockAdmin({ maximumAvailable: 100000, restoreRate: 100000 });
+  Object.assign(process.env, {
+    MOCK_SHOPIFY_URL: mock.url,
+    SHOPIFY_SHOP: 'mock-shop.myshopify.com',
+    SHOPIFY_API_SECRET: 'test-secret',
+    APP_API_TOKEN: 'test-token',
+    // Every request reaches the mock, so injected failures aren't hidden by the cache
+    COA_CACHE_TTL: '0',
+    ADMIN_API_MAX_RETRIES: '1',
+    LOG_LEVEL: 'error',
+  });
+  const { default: app } = await import('../server.js');
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mock.close();
+});
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`, { headers: { Accept: 'application/json' } });
+  return { status: response.status, body: await response.json() };
+}
+
+const batches = result => result.body.items.map(item => item.batch_number);
+
+test('pages forward and back with cursors, newest update first', async () => {
+  const first = await get('/api/coas?pageSize=5');
+  assert.equal(first.status, 200);
+  assert.deepEqual(batches(first), ['MB-1119', 'MB-1118', 'MB-1117', 'MB-1116', 'MB-1115']);
+  assert.equal(first.body.pageInfo.hasNextPage, true);
+  assert.equal(first.body.pageInfo.hasPreviousPage, false);
+
+  const second = await get(`/api/coas?pageSize=5&after=${encodeURIComponent(first.body.pageInfo.endCursor)}`);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.items.length, 5);
+  assert.equal(second.body.pageInfo.hasPreviousPage, true);
+  assert.equal(batches(second).some(batch => batches(first).includes(batch)), false);
+
+  const back = await get(`/api/coas?pageSize=5&before=${encodeURIComponent(second.body.pageInfo.startCursor)}`);
+  assert.equal(back.status, 200);
+  assert.deepEqual(batches(back), batches(first));
+});
+
+test('page=N returns the page the cursors reach, and 404 past the end', async () => {
+  let cursor = null;
+  for (let page = 1; page < 3; page++) {
+    cursor = (await get(`/api/coas?pageSize=5${cursor ? `&after=${encodeURIComponent(cursor)}` : ''}`)).body.pageInfo.endCursor;
+  }
+  const walked = await get(`/api/coas?pageSize=5&after=${encodeURIComponent(cursor)}`);
+  const third = await get('/api/coas?pageSize=5&page=3');
+  assert.equal(third.status, 200);
+  assert.deepEqual(batches(third), batches(walked));
+
+  const last = await get('/api/coas?pageSize=50&page=3');
+  assert.equal(last.status, 200);
+  assert.equal(last.body.items.length, 18);
+  assert.equal(last.body.totalCount, 118);
+  assert.equal(last.body.pageInfo.hasNextPage, false);
+
+  const beyond = await get('/api/coas?pageSize=50&page=4');
+  assert.equal(beyond.status, 404);
+});
+
+test('filters narrow the listing', async () => {
+  const tinctures = await get('/api/coas?product_type=Tincture&pageSize=250');
+  assert.equal(tinctures.status, 200);
+  assert.ok(tinctures.body.items.length > 0);
+  assert.ok(tinctures.body.items.every(item => item.product_type === 'Tincture'));
+
+  const searched = await get('/api/coas?q=tincture&pageSize=250');
+  assert.equal(searched.status, 200);
+  assert.deepEqual(batches(searched), batches(tinctures));
+
+  const none = await get('/api/coas?q=no-such-certificate');
+  assert.equal(none.status, 200);
+  assert.deepEqual(none.body.items, []);
+  assert.equal(none.body.totalCount, 0);
+});
+
+test('field sorts page with their own cursors', async () => {
+  const first = await get('/api/coas?sort=batch_number&pageSize=10');
+  assert.equal(first.status, 200);
+  assert.deepEqual(batches(first), [...batches(first)].sort());
+  assert.equal(first.body.items[0].batch_number, 'MB-1000');
+  assert.equal(first.body.totalCount, 118);
+
+  const second = await get(`/api/coas?sort=batch_number&pageSize=10&after=${encodeURIComponent(first.body.pageInfo.endCursor)}`);
+  assert.equal(second.status, 200);
+  assert.ok(second.body.items[0].batch_number > first.body.items.at(-1).batch_number);
+
+  const back = await get(`/api/coas?sort=batch_number&pageSize=10&before=${encodeURIComponent(second.body.pageInfo.startCursor)}`);
+  assert.deepEqual(batches(back), batches(first));
+
+  const descending = await get('/api/coas?sort=batch_number:desc&pageSize=3');
+  assert.deepEqual(batches(descending), ['MB-1119', 'MB-1118', 'MB-1117']);
+});
+
+test('a cursor the server did not issue is a 400', async () => {
+  for (const path of ['/api/coas?after=not-a-cursor', '/api/coas?sort=batch_number&after=not-a-cursor']) {
+    const response = await get(path);
+    assert.equal(response.status, 400, path);
+  }
+});
+
+test('throttled and 5xx Admin API responses are retried', async () => {
+  mock.failNext({ throttle: true });
+  assert.equal((await get('/api/coas?pageSize=5')).status, 200);
+
+  mock.failNext({ status: 502 });
+  assert.equal((await get('/api/coas?pageSize=5')).status, 200);
+});
+
+test('an Admin API that stays down is a 503', async () => {
+  mock.failNext({ status: 503, count: 2 });
+  const response = await get('/api/coas?pageSize=5');
+  assert.equal(response.status, 503);
+  assert.ok(response.body.error);
+});
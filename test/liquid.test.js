@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeLiquid, renderListing, renderMessage, renderDetail } from '../lib/liquid.js';
+
+const definition = {
+  type: 'certificates_of_analysis',
+  title: 'Certificates of Analysis',
+  columns: ['product', 'batch_number'],
+  labels: { product: 'Product', batch_number: 'Batch number' },
+};
+
+const hostile = {
+  product: '{{ shop.name }}',
+  batch_number: '{% render "x" %}',
+};
+
+// No {{ or {% may survive anywhere a value was put into a slot
+function assertNoLiquid(output) {
+  assert.doesNotMatch(output, /\{\{\s*shop|\{%\s*render/);
+}
+
+test('escapeLiquid encodes braces along with HTML', () => {
+  assert.equal(escapeLiquid('<b>{{ x }}</b>'), '&lt;b&gt;&#123;&#123; x &#125;&#125;&lt;/b&gt;');
+});
+
+test('renderListing neutralises Liquid in the query and field values', () => {
+  const req = {
+    path: '/coas',
+    query: { q: '{{ shop.name }}', sort: '{% render "x" %}', path_prefix: '/apps/coas' },
+  };
+  const output = renderListing(req, {
+    definition,
+    result: { items: [{ id: '1', ...hostile }], pageInfo: { hasNextPage: true, endCursor: 'abc' }, totalCount: 1 },
+  });
+  assertNoLiquid(output);
+  assert.match(output, /value="&#123;&#123; shop\.name &#125;&#125;"/);
+});
+
+test('renderMessage neutralises Liquid in the message', () => {
+  assertNoLiquid(renderMessage({ title: 'Not found', message: 'No certificate found for batch {{ shop.name }}' }));
+  assert.match(renderMessage({ title: 'x', message: '{{shop.name}}' }), /&#123;&#123;shop\.name&#125;&#125;/);
+});
+
+test('renderDetail neutralises Liquid in field values and the title', () => {
+  assertNoLiquid(renderDetail({ definition, item: { id: '1', ...hostile }, title: 'Batch {{ shop.name }}' }));
+});